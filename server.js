@@ -5,63 +5,459 @@ const express = require('express');
 const cors = require('cors');
 const {
   fetchShopifyData,
+  invalidateShopifyCache,
+  checkShopifyConnection,
   GET_LATEST_ORDER_BY_CUSTOMER_PHONE_QUERY,
-  GET_ORDER_BY_ID_QUERY
+  GET_ORDER_BY_ID_QUERY,
+  FIND_CUSTOMERS_BY_PHONE_QUERY,
+  GET_ORDERS_BY_CUSTOMER_ID_QUERY,
+  GET_CUSTOMER_PROFILE_QUERY,
+  SEARCH_PRODUCTS_QUERY,
+  FIND_ORDER_NAMES_QUERY,
+  UPDATE_ORDER_SHIPPING_ADDRESS_MUTATION,
+  CANCEL_ORDER_MUTATION,
+  RETURN_REQUEST_MUTATION
 } = require('./utils/shopifyApi');
+const { parseAddressDetails } = require('./utils/addressParser');
+const {
+  matchCallerClaims,
+  isVerificationLocked,
+  recordFailedVerification,
+  createVerificationToken,
+  isCallerVerified
+} = require('./utils/callerVerification');
+const {
+  describeWebhookEvent,
+  verifyShopifyWebhook,
+  claimWebhookEvent,
+  releaseWebhookEvent,
+  recordWebhookEvent,
+  getRecentEventsForCustomer
+} = require('./utils/webhookEvents');
+const { createTicket, updateTicketStatus, findTickets } = require('./utils/ticketStore');
+const { resolveStoreForRequest, getStoreByShopDomain, getAllStores } = require('./utils/storeRegistry');
+const { resolveFormatOptions, createFormatter } = require('./utils/localeFormat');
+const { getShippingRules, parseShipDateFromTags, isPhysicalItem, estimateItemShipping } = require('./utils/shippingRules');
+const { getReturnPolicy, checkItemReturnable } = require('./utils/returnPolicy');
+const { getLoyaltyRules, getCustomerSegment } = require('./utils/customerSegments');
+const { parseOrderNumber, getOrderNumberAlternatives, normalizePhoneNumber, getPhoneSearchCandidates } = require('./utils/speechInput');
+const { getToolDefinition, validateToolArguments, getOpenAIToolManifest } = require('./utils/toolSchemas');
+const { getPlatformAdapter } = require('./utils/voicePlatforms');
+const { startAuditEntry, runWithAuditEntry, finishAuditEntry } = require('./utils/auditLog');
+const { saveTranscript } = require('./utils/transcriptStore');
+const {
+  authenticateRequest,
+  clientHasScope,
+  clientCanAccessStore,
+  isApiAuthConfigured,
+  canReadMetrics
+} = require('./utils/apiAuth');
+const { createRateLimiter } = require('./utils/rateLimiter');
+const { recordRequest, recordLookup, renderMetrics } = require('./utils/metrics');
+const {
+  CALLBACK_STATUSES,
+  getCallbackSchedule,
+  listAvailableSlots,
+  findAvailableSlot,
+  bookCallback,
+  listCallbacks,
+  completeCallback
+} = require('./utils/callbackScheduler');
 const { 
   sendEscalationEmail,
-  sendAddressChangeRequestEmail
+  sendCustomerNotificationEmail,
+  sendAddressChangeRequestEmail,
+  sendCancellationRequestEmail,
+  sendReturnRequestEmail
 } = require('./utils/emailService');
+const { startEmailRetryWorker, checkEmailTransport } = require('./utils/emailTransport');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// When enabled, address changes on unfulfilled orders are written straight to Shopify instead of emailed to support.
+const AUTO_APPLY_ADDRESS_CHANGES = process.env.AUTO_APPLY_ADDRESS_CHANGES === 'true';
+// Order history pages are capped because every order carries its full line items (Shopify query cost).
+const DEFAULT_ORDER_HISTORY_LIMIT = 3;
+const MAX_ORDER_HISTORY_LIMIT = 5;
+// Product searches are read aloud, so only a handful of matches are returned.
+const DEFAULT_PRODUCT_SEARCH_LIMIT = 3;
+const MAX_PRODUCT_SEARCH_LIMIT = 5;
+const LOW_STOCK_THRESHOLD = 5;
+// Callback times are read aloud too, so only the soonest few are offered.
+const DEFAULT_CALLBACK_SLOT_LIMIT = 3;
+const MAX_CALLBACK_SLOT_LIMIT = 10;
+// Unless explicitly disabled, order details are redacted until the caller passes /verifyCaller.
+const REQUIRE_CALLER_VERIFICATION = process.env.REQUIRE_CALLER_VERIFICATION !== 'false';
+// 'shopify' cancels eligible orders directly (verified callers only); anything else emails support.
+const CANCELLATION_MODE = process.env.CANCELLATION_MODE || 'email';
+// 'shopify' files return requests in Shopify (verified callers only); anything else emails support.
+// Exchanges always go to support.
+const RETURNS_MODE = process.env.RETURNS_MODE || 'email';
+// Browser origins allowed to call the API, comma-separated ("*" allows any). Voice platforms call
+// server-to-server and don't need to be listed.
+const CORS_ALLOWED_ORIGINS = (process.env.CORS_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+// Requests per minute for each API client, unless the client sets its own rateLimitPerMinute.
+const API_RATE_LIMIT_PER_MINUTE = parseInt(process.env.API_RATE_LIMIT_PER_MINUTE, 10) || 120;
+// Tool calls per hour about any one phone number, across all clients; write tools have a tighter limit.
+const PHONE_RATE_LIMIT_PER_HOUR = parseInt(process.env.PHONE_RATE_LIMIT_PER_HOUR, 10) || 60;
+const PHONE_WRITE_RATE_LIMIT_PER_HOUR = parseInt(process.env.PHONE_WRITE_RATE_LIMIT_PER_HOUR, 10) || 5;
+// How long a /ready result is reused. /ready is unauthenticated, so without this every probe (or
+// anyone hammering it) would call Shopify and the email provider.
+const READY_CACHE_SECONDS = parseInt(process.env.READY_CACHE_SECONDS, 10) || 5;
+
+const clientRateLimiter = createRateLimiter({ limit: API_RATE_LIMIT_PER_MINUTE, windowMs: 60 * 1000 });
+const phoneRateLimiter = createRateLimiter({ limit: PHONE_RATE_LIMIT_PER_HOUR, windowMs: 60 * 60 * 1000 });
+const phoneWriteRateLimiter = createRateLimiter({ limit: PHONE_WRITE_RATE_LIMIT_PER_HOUR, windowMs: 60 * 60 * 1000 });
+
+app.use(cors({ origin: CORS_ALLOWED_ORIGINS.includes('*') ? true : CORS_ALLOWED_ORIGINS }));
+
+// Metrics are labelled with the route pattern rather than the raw path, so IDs in paths and requests
+// for made-up paths don't each add a series. Tool calls turned away before routing (credentials,
+// rate limits) still count under the tool's path.
+const TOOL_PATHS = new Set(getOpenAIToolManifest().map(tool => getToolDefinition(tool.function.name).path));
+const getMetricsEndpoint = (req) => req.route?.path || (TOOL_PATHS.has(req.path) ? req.path : 'unmatched');
+
+const getElapsedSeconds = (entry) => Number(process.hrtime.bigint() - entry.startedAt) / 1e9;
+
+// Writes one structured audit log line per request once the response is sent. It must run after the
+// body parser: the parser's stream callbacks would otherwise lose the audit context.
+const auditRequest = (req, res, next) => {
+  const entry = startAuditEntry({
+    requestId: req.get('X-Request-Id'),
+    callId: req.get('X-Call-Id') || req.body?.callId,
+    endpoint: req.path,
+  });
+  res.set('X-Request-Id', entry.requestId);
+
+  let responseBody;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+  res.on('finish', () => {
+    recordRequest({ endpoint: getMetricsEndpoint(req), statusCode: res.statusCode, durationSeconds: getElapsedSeconds(entry) });
+    finishAuditEntry(entry, {
+      statusCode: res.statusCode,
+      body: responseBody,
+      requestBody: req.body,
+      storeId: req.store?.id,
+      clientId: req.client?.id,
+    });
+  });
+
+  runWithAuditEntry(entry, next);
+};
+
+// Registered before express.json() because the HMAC must be computed over the raw body.
+app.post('/webhooks/shopify', express.raw({ type: 'application/json' }), auditRequest, async (req, res) => {
+  const store = getStoreByShopDomain(req.get('X-Shopify-Shop-Domain'));
+  req.store = store;
+  if (!store || !verifyShopifyWebhook(req.body, req.get('X-Shopify-Hmac-Sha256'), store.shopify.webhookSecret)) {
+    return res.status(401).json({ success: false, error: "Invalid webhook signature." });
+  }
+
+  const topic = req.get('X-Shopify-Topic');
+  const webhookId = req.get('X-Shopify-Webhook-Id');
+  // Shopify retries deliveries it thinks failed, sometimes while the first attempt is still running;
+  // only act on each one once. A delivery still in progress is refused so Shopify tries it again later.
+  const claim = await claimWebhookEvent(webhookId);
+  if (claim === 'duplicate') return res.status(200).json({ success: true, duplicate: true });
+  if (claim === 'in_progress') return res.status(409).json({ success: false, error: "This webhook delivery is already being processed." });
+
+  try {
+    const event = describeWebhookEvent(topic, JSON.parse(req.body.toString('utf8')));
+    if (!event) return res.status(200).json({ success: true, ignored: true });
+
+    // The order changed, so any cached lookups for it are stale.
+    invalidateShopifyCache(store.id);
 
-app.use(cors());
-app.use(express.json());
+    let customerNotified = false;
+    if (event.notificationType && event.customerEmail) {
+      try {
+        await sendCustomerNotificationEmail({ ...event, store });
+        customerNotified = true;
+      } catch (error) {
+        // Left unrecorded so Shopify's redelivery gets another chance to notify the customer.
+        console.error(`Error notifying customer for ${topic} webhook:`, error.message);
+        return res.status(500).json({ success: false, error: "Could not notify the customer about this webhook." });
+      }
+    }
 
+    await recordWebhookEvent({
+      webhookId,
+      storeId: store.id,
+      topic,
+      orderNumber: event.orderNumber,
+      customerEmail: event.customerEmail,
+      customerPhone: event.customerPhone,
+      description: event.description,
+      customerNotified,
+    });
+    res.status(200).json({ success: true, customerNotified });
+  } catch (error) {
+    console.error("Error in /webhooks/shopify:", error.message);
+    res.status(500).json({ success: false, error: "Internal error processing webhook." });
+  } finally {
+    releaseWebhookEvent(webhookId);
+  }
+});
+
+// Escalations may carry a full call transcript, which can exceed the default 100kb limit.
+// The raw body is kept for HMAC-signed API requests.
+app.use(express.json({ limit: '1mb', verify: (req, res, buf) => { req.rawBody = buf; } }));
+
+// Liveness only: answers as long as the process is up. /ready checks the dependencies.
 app.get('/health', (req, res) => res.status(200).send('Server is running!'));
 
+// Settings that every request depends on, beyond what the Shopify and email checks cover.
+const findConfigurationProblems = (stores) => {
+  const problems = [];
+  if (!isApiAuthConfigured()) problems.push("No API clients are configured, so every API request is rejected.");
+  for (const store of stores) {
+    if (!store.email.senderEmail) problems.push(`Store "${store.id}" has no sender email address.`);
+    if (!store.email.supportTeamEmail) problems.push(`Store "${store.id}" has no support team email address.`);
+  }
+  return problems;
+};
+
+const runReadinessChecks = async () => {
+  const stores = getAllStores();
+  const [shopify, email] = await Promise.all([
+    Promise.all(stores.map(async store => ({ storeId: store.id, ...(await checkShopifyConnection(store)) }))),
+    checkEmailTransport(),
+  ]);
+  const problems = findConfigurationProblems(stores);
+  const ready = problems.length === 0 && shopify.every(check => check.ok) && email.ok;
+  return {
+    success: ready,
+    status: ready ? 'ready' : 'not_ready',
+    checkedAt: new Date().toISOString(),
+    checks: {
+      configuration: { ok: problems.length === 0, problems },
+      shopify,
+      email,
+    },
+  };
+};
+
+// Requests that arrive while a check is running share it; the result is then reused for
+// READY_CACHE_SECONDS after it finishes.
+let cachedReadiness = null;
+const getReadiness = () => {
+  if (cachedReadiness && cachedReadiness.expiresAt > Date.now()) return cachedReadiness.result;
+  const entry = { result: runReadinessChecks(), expiresAt: Infinity };
+  const expire = () => { entry.expiresAt = Date.now() + READY_CACHE_SECONDS * 1000; };
+  entry.result.then(expire, expire);
+  cachedReadiness = entry;
+  return entry.result;
+};
+
+// Without API credentials only the overall status and whether each dependency is up are shown;
+// store IDs, configuration problems and upstream error messages are for API clients.
+const summarizeReadiness = ({ success, status, checkedAt, checks }) => ({
+  success,
+  status,
+  checkedAt,
+  checks: {
+    configuration: { ok: checks.configuration.ok },
+    shopify: { ok: checks.shopify.every(check => check.ok) },
+    email: { ok: checks.email.ok },
+  },
+});
+
+// Readiness for load balancers and deploy checks: 503 until the configuration is complete and
+// every store's Shopify and the email transport answer. Left outside API auth, like /health, so
+// probes need no credentials; send them to see the details.
+app.get('/ready', async (req, res) => {
+  try {
+    const readiness = await getReadiness();
+    const { client } = authenticateRequest(req);
+    res.status(readiness.success ? 200 : 503).json(client ? readiness : summarizeReadiness(readiness));
+  } catch (error) {
+    console.error("Error in /ready:", error.message);
+    res.status(503).json({ success: false, status: 'not_ready', error: "Readiness checks failed." });
+  }
+});
+
+// Prometheus scrape endpoint; see utils/metrics.js. Set METRICS_TOKEN to require a bearer token.
+app.get('/metrics', (req, res) => {
+  if (!canReadMetrics(req)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ success: false, error: "Invalid metrics token." });
+  }
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+app.use(auditRequest);
+
+const sendRateLimited = (res, retryAfterSeconds, error) => {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({ success: false, error, retryAfterSeconds });
+};
+
+// Every endpoint below needs API credentials; see utils/apiAuth.js.
+app.use((req, res, next) => {
+  const { client, error } = authenticateRequest(req);
+  if (!client) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ success: false, error });
+  }
+  req.client = client;
+
+  const { allowed, retryAfterSeconds } = clientRateLimiter.consume(client.id, client.rateLimitPerMinute);
+  if (!allowed) {
+    return sendRateLimited(res, retryAfterSeconds, `Rate limit exceeded for this API client. Try again in ${retryAfterSeconds} seconds.`);
+  }
+  next();
+});
+
+const describeStoreAccessDenied = (store) => `This API client is not allowed to access store "${store.id}".`;
+
+// Every endpoint below acts on behalf of one storefront, chosen per request.
+app.use((req, res, next) => {
+  const { store, error } = resolveStoreForRequest(req);
+  if (error) return res.status(400).json({ success: false, error });
+  if (!clientCanAccessStore(req.client, store.id)) return res.status(403).json({ success: false, error: describeStoreAccessDenied(store) });
+  req.store = store;
+  next();
+});
+
 
-const normalizePhoneNumber = (phone) => {
-  if (!phone || typeof phone !== 'string') return null;
-  const digits = phone.replace(/\D/g, '');
-  if (digits.length < 10) return null;
-  return phone.startsWith('+') ? phone : `+${digits}`;
+// Used wherever a request didn't ask for a particular locale or timezone.
+const DEFAULT_FORMATTER = createFormatter();
+
+// Picks the formatter for an order endpoint from its locale/timeZone/format fields, falling back
+// to the store's own defaults.
+const getFormatterForRequest = (req) => {
+  const { locale, timeZone, format } = req.body;
+  const { options, error } = resolveFormatOptions({ locale, timeZone, format }, req.store.branding);
+  return error ? { formatter: null, error } : { formatter: createFormatter(options), error: null };
+};
+
+// A list tool's `limit` field as a positive integer no larger than `max`; missing or invalid values
+// get the tool's default.
+const clampLimit = (value, max, defaultValue) => {
+  const requestedLimit = parseInt(value, 10);
+  return Number.isInteger(requestedLimit) && requestedLimit > 0 ? Math.min(requestedLimit, max) : defaultValue;
 };
 
-const formatMoney = (moneySet) => {
+const formatMoney = (moneySet, formatter = DEFAULT_FORMATTER) => {
     const money = moneySet?.shopMoney || moneySet;
     if (!money?.amount || parseFloat(money.amount) === 0) return null;
     const { amount, currencyCode } = money;
-    return new Intl.NumberFormat('en-US', { style: 'currency', currency: currencyCode }).format(amount);
+    return formatter.formatMoney(amount, currencyCode);
 };
 
-const formatDate = (dateString) => {
-  if (!dateString) return null;
-  const date = new Date(dateString);
-  if (isNaN(date.getTime())) return null;
-  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
-};
+const formatDate = (dateString, formatter = DEFAULT_FORMATTER) => formatter.formatDate(dateString);
+
+// "on March 5, 2026" or "between March 5, 2026 and March 9, 2026" for a { earliest, latest } date window.
+const describeDateWindow = (window, formatter) => window.earliest === window.latest
+  ? `on ${formatter.formatCalendarDate(window.earliest)}`
+  : `between ${formatter.formatCalendarDate(window.earliest)} and ${formatter.formatCalendarDate(window.latest)}`;
 
-const parseShippingDateFromTags = (tags) => {
-  if (!Array.isArray(tags)) return null;
-  const dateTag = tags.find(tag => tag.toLowerCase().startsWith('w3dd:'));
-  if (!dateTag) return null;
-  const dateString = dateTag.split(':')[1]?.trim();
-  if (!dateString) return null;
-  const date = new Date(dateString + 'T00:00:00Z');
-  if (isNaN(date.getTime())) return null;
-  return formatDate(date.toISOString());
+// Shipping estimates are calendar dates, so they are formatted as-is rather than shifted into the
+// caller's timezone.
+const formatShippingEstimate = (estimate, formatter) => ({
+  source: estimate.source,
+  delayed: estimate.delayed,
+  shipBy: {
+    earliest: formatter.formatCalendarDate(estimate.shipBy.earliest),
+    latest: formatter.formatCalendarDate(estimate.shipBy.latest),
+  },
+  deliveryWindow: {
+    earliest: formatter.formatCalendarDate(estimate.delivery.earliest),
+    latest: formatter.formatCalendarDate(estimate.delivery.latest),
+  },
+  // A late item has no reliable delivery window, so only the missed ship date is read out.
+  summary: estimate.delayed
+    ? `Running late: expected to ship ${describeDateWindow(estimate.shipBy, formatter)} but hasn't shipped yet.`
+    : `Expected to ship ${describeDateWindow(estimate.shipBy, formatter)} and arrive ${describeDateWindow(estimate.delivery, formatter)}.`,
+});
+
+// How each carrier event status reads in a sentence ("Shipment 1 is out for delivery").
+const SHIPMENT_STATUS_PHRASES = {
+  CONFIRMED: 'is being prepared for shipment',
+  LABEL_PURCHASED: 'is being prepared for shipment',
+  LABEL_PRINTED: 'is being prepared for shipment',
+  READY_FOR_PICKUP: 'is ready for pickup',
+  CARRIER_PICKED_UP: 'was picked up by the carrier',
+  PICKED_UP: 'was picked up',
+  IN_TRANSIT: 'is in transit',
+  OUT_FOR_DELIVERY: 'is out for delivery',
+  ATTEMPTED_DELIVERY: 'had a delivery attempt',
+  DELAYED: 'is delayed',
+  FAILURE: 'has a delivery problem',
+  DELIVERED: 'was delivered',
 };
 
+const formatShipment = (fulfillment, index, formatter = DEFAULT_FORMATTER) => {
+  const events = (fulfillment.events?.edges?.map(({ node }) => ({
+    status: node.status,
+    description: node.message || node.status?.toLowerCase().replace(/_/g, ' ') || null,
+    location: [node.city, node.province].filter(Boolean).join(', ') || null,
+    date: formatDate(node.happenedAt, formatter),
+    happenedAt: node.happenedAt,
+  })) ?? []).sort((a, b) => new Date(a.happenedAt) - new Date(b.happenedAt));
+  const latestEvent = events.length > 0 ? events[events.length - 1] : null;
+
+  const deliveredAt = fulfillment.deliveredAt || events.find(event => event.status === 'DELIVERED')?.happenedAt;
+  const items = fulfillment.fulfillmentLineItems?.edges?.map(({ node }) => ({
+    name: node.lineItem?.title || null,
+    quantity: node.quantity,
+  })) ?? [];
 
-const formatOrderForAI = (orderNode, customerNode) => {
-  const expectedShipDate = parseShippingDateFromTags(orderNode.tags);
+  const shipment = {
+    shipmentNumber: index + 1,
+    status: fulfillment.displayStatus,
+    shippedOn: formatDate(fulfillment.createdAt, formatter),
+    inTransitSince: deliveredAt ? null : formatDate(fulfillment.inTransitAt, formatter),
+    deliveredOn: formatDate(deliveredAt, formatter),
+    estimatedDelivery: deliveredAt ? null : formatDate(fulfillment.estimatedDeliveryAt, formatter),
+    tracking: fulfillment.trackingInfo?.map(info => ({
+      carrier: info.company || null,
+      number: info.number || null,
+      url: info.url || null,
+    })) ?? [],
+    items,
+    latestEvent,
+    events,
+  };
+
+  const itemText = items.filter(item => item.name).map(item => `${item.quantity}x ${item.name}`).join(', ');
+  const label = `Shipment ${shipment.shipmentNumber}${itemText ? ` (${itemText})` : ''}`;
+  if (shipment.deliveredOn) {
+    shipment.summary = `${label} was delivered on ${shipment.deliveredOn}.`;
+  } else if (latestEvent) {
+    const phrase = SHIPMENT_STATUS_PHRASES[latestEvent.status] || `is ${latestEvent.description}`;
+    const where = latestEvent.status === 'IN_TRANSIT' && latestEvent.location ? `, last scanned in ${latestEvent.location}` : '';
+    const expected = shipment.estimatedDelivery ? ` It is expected by ${shipment.estimatedDelivery}.` : '';
+    shipment.summary = `${label} ${phrase}${where} as of ${latestEvent.date}.${expected}`;
+  } else {
+    // Carriers without tracking events still report when the package entered transit.
+    const sent = shipment.inTransitSince
+      ? `has been in transit since ${shipment.inTransitSince}`
+      : `was shipped on ${shipment.shippedOn}`;
+    const expected = shipment.estimatedDelivery ? ` and is expected by ${shipment.estimatedDelivery}` : '';
+    shipment.summary = `${label} ${sent}${expected}.`;
+  }
+
+  return shipment;
+};
+
+const formatOrderForAI = (orderNode, customerNode, formatter = DEFAULT_FORMATTER, shippingRules = getShippingRules()) => {
+  const taggedShipDate = parseShipDateFromTags(orderNode.tags, shippingRules);
+  const shippingEstimates = [];
   
   // Use the correct data access for fulfillments (as a direct array) and make it safe
   const latestFulfillment = orderNode.fulfillments?.length > 0
     ? [...orderNode.fulfillments].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0]
     : null;
+
+  // Every fulfillment is a separate package, numbered in the order they were shipped.
+  const shipments = [...(orderNode.fulfillments || [])]
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .map((fulfillment, index) => formatShipment(fulfillment, index, formatter));
     
   // const actualShippedDate = latestFulfillment?.createdAt ? formatDate(latestFulfillment.createdAt) : null;
 
@@ -85,27 +481,53 @@ const formatOrderForAI = (orderNode, customerNode) => {
       0
     );
     
-    const physicalProductTypes = ["Embroidered Patches", "Alterations"];
     const productType = node.variant?.product?.productType || '';
-    const isPhysical = node.requiresShipping || physicalProductTypes.includes(productType);
+    const isPhysical = isPhysicalItem(node, shippingRules);
 
     // Check if this item's ID is in our set of fulfilled IDs
     const itemFulfillmentStatus = fulfilledLineItemIds.has(node.id) ? 'FULFILLED' : 'UNFULFILLED';
 
+    // Only physical items still waiting to ship get an estimate; shipped ones have tracking instead.
+    const estimate = isPhysical && itemFulfillmentStatus === 'UNFULFILLED' && !orderNode.cancelledAt
+      ? estimateItemShipping({ productType, orderedAt: orderNode.processedAt, taggedShipDate }, shippingRules)
+      : null;
+    if (estimate) shippingEstimates.push(estimate);
+
     return {
       name: node.title,
       variant: node.variant?.title || 'Default',
       quantity: node.quantity,
-      unitPrice: formatMoney(node.originalUnitPriceSet),
-      totalPrice: formatMoney(node.discountedTotalSet),
-      discount: formatMoney({ shopMoney: { amount: itemDiscountAmount, currencyCode: node.originalUnitPriceSet.shopMoney.currencyCode } }),
+      unitPrice: formatMoney(node.originalUnitPriceSet, formatter),
+      totalPrice: formatMoney(node.discountedTotalSet, formatter),
+      discount: formatMoney({ shopMoney: { amount: itemDiscountAmount, currencyCode: node.originalUnitPriceSet.shopMoney.currencyCode } }, formatter),
       itemCategory: isPhysical ? 'PHYSICAL' : 'DIGITAL', 
       fulfillmentStatus: itemFulfillmentStatus, // Assign the correct individual status
+      shippingEstimate: estimate ? formatShippingEstimate(estimate, formatter) : null,
     };
   })) ?? []; // Default to an empty array if lineItems or edges are missing
   
   const orderRequiresShipping = lineItems.some(item => item.itemCategory === 'PHYSICAL');
 
+  // The order-level estimate spans every unshipped item, from the first to ship to the last to arrive.
+  const orderEstimate = shippingEstimates.length > 0 ? {
+    source: shippingEstimates.every(estimate => estimate.source === 'TAG') ? 'TAG' : 'PROCESSING_TIME',
+    delayed: shippingEstimates.some(estimate => estimate.delayed),
+    shipBy: {
+      earliest: shippingEstimates.map(estimate => estimate.shipBy.earliest).sort()[0],
+      latest: shippingEstimates.map(estimate => estimate.shipBy.latest).sort().pop(),
+    },
+    delivery: {
+      earliest: shippingEstimates.map(estimate => estimate.delivery.earliest).sort()[0],
+      latest: shippingEstimates.map(estimate => estimate.delivery.latest).sort().pop(),
+    },
+  } : null;
+  const estimatedShipping = orderEstimate ? formatShippingEstimate(orderEstimate, formatter) : null;
+
+  let shippingStatusMessage = estimatedShipping?.summary;
+  if (!shippingStatusMessage) {
+    shippingStatusMessage = orderNode.cancelledAt ? "This order has been cancelled." : "All items in this order have shipped.";
+  }
+
   // Make itemsSummary safe for orders with zero items
   const itemsSummary = lineItems.length > 0
     ? lineItems.length > 1
@@ -136,7 +558,7 @@ const formatOrderForAI = (orderNode, customerNode) => {
 
   return {
     orderNumber: orderNode.name,
-    orderDate: formatDate(orderNode.processedAt),
+    orderDate: formatDate(orderNode.processedAt, formatter),
     customerName: customerName,
     customerEmail: customerEmail,
     status: {
@@ -144,46 +566,614 @@ const formatOrderForAI = (orderNode, customerNode) => {
         fulfillment: orderNode.displayFulfillmentStatus,
     },
     pricing: {
-        subtotal: formatMoney({ shopMoney: { amount: grossSubtotalVal, currencyCode: currencyCode } }),
-        shipping: formatMoney(orderNode.totalShippingPriceSet),
-        tax: formatMoney(orderNode.totalTaxSet),
-        totalDiscount: formatMoney(orderNode.totalDiscountsSet),
-        total: formatMoney(orderNode.totalPriceSet),
+        subtotal: formatMoney({ shopMoney: { amount: grossSubtotalVal, currencyCode: currencyCode } }, formatter),
+        shipping: formatMoney(orderNode.totalShippingPriceSet, formatter),
+        tax: formatMoney(orderNode.totalTaxSet, formatter),
+        totalDiscount: formatMoney(orderNode.totalDiscountsSet, formatter),
+        total: formatMoney(orderNode.totalPriceSet, formatter),
     },
     items: lineItems,
     itemsSummary: itemsSummary,
     shippingInfo: orderRequiresShipping ? {
         isShippable: true,
         address: shippingAddress,
-        statusMessage: expectedShipDate  || "Shipped within 2-7 days",
+        statusMessage: shippingStatusMessage,
+        estimatedShipping: estimatedShipping,
         carrier: latestFulfillment?.trackingInfo?.[0]?.company || null,
         trackingNumber: latestFulfillment?.trackingInfo?.[0]?.number || null,
         trackingUrl: latestFulfillment?.trackingInfo?.[0]?.url || null,
+        shipments: shipments,
+        trackingSummary: shipments.length > 0 ? shipments.map(shipment => shipment.summary).join(' ') : null,
     } : {
         isShippable: false,
         address: null,
         statusMessage: "This order does not require shipping.",
+        estimatedShipping: null,
         carrier: null,
         trackingNumber: null,
         trackingUrl: null,
+        shipments: [],
+        trackingSummary: null,
     }
   };
 };
 
+// Strips everything that identifies the customer or the money involved, leaving only what is
+// safe to tell an unverified caller (what was ordered and where it is in the process).
+const redactOrderForAI = (order) => ({
+  orderNumber: order.orderNumber,
+  orderDate: order.orderDate,
+  status: order.status,
+  items: order.items.map(({ name, variant, quantity, itemCategory, fulfillmentStatus, shippingEstimate }) => ({
+    name, variant, quantity, itemCategory, fulfillmentStatus, shippingEstimate
+  })),
+  itemsSummary: order.itemsSummary,
+  shippingInfo: {
+    isShippable: order.shippingInfo.isShippable,
+    statusMessage: order.shippingInfo.statusMessage,
+    estimatedShipping: order.shippingInfo.estimatedShipping,
+    carrier: order.shippingInfo.carrier,
+    shipments: order.shippingInfo.shipments.map(({ shipmentNumber, status, shippedOn, deliveredOn, estimatedDelivery }) => ({
+      shipmentNumber, status, shippedOn, deliveredOn, estimatedDelivery
+    })),
+  },
+  redacted: true,
+});
+
+// Formats an order and redacts it unless the verification token covers this order or its customer.
+const presentOrderForCaller = (store, orderNode, customerNode, verificationToken, formatter = DEFAULT_FORMATTER) => {
+  const order = formatOrderForAI(orderNode, customerNode, formatter, getShippingRules(store));
+  if (!REQUIRE_CALLER_VERIFICATION) return order;
+  const verified = isCallerVerified(verificationToken, {
+    storeId: store.id,
+    orderNumber: orderNode.name,
+    customerEmail: customerNode?.email || orderNode.customer?.email,
+  });
+  return verified ? order : redactOrderForAI(order);
+};
+
+const describeDaysAgo = (isoDate, formatter = DEFAULT_FORMATTER) => {
+  const days = formatter.daysSince(isoDate);
+  if (days <= 0) return 'today';
+  if (days === 1) return 'yesterday';
+  return `on ${formatDate(isoDate, formatter)}`;
+};
+
+// Sentences like "We emailed you a tracking update for order #1042 yesterday." for recent webhook notifications.
+const getRecentNotificationsForSpeech = async (customer, formatter = DEFAULT_FORMATTER) => {
+  const events = await getRecentEventsForCustomer(customer);
+  return events
+    .filter(event => event.customerNotified)
+    .map(event => `We emailed you ${event.description}${event.orderNumber ? ` for order ${event.orderNumber}` : ''} ${describeDaysAgo(event.receivedAt, formatter)}.`);
+};
+
+const TICKET_TYPE_LABELS = {
+  ESCALATION: 'support request',
+  ADDRESS_CHANGE: 'address change request',
+  CANCELLATION: 'cancellation request',
+  RETURN: 'return request',
+  EXCHANGE: 'exchange request',
+};
+
+// Ticket details that are safe to read back to a caller; the original payload stays internal.
+const formatTicketForAI = (ticket) => {
+  const label = TICKET_TYPE_LABELS[ticket.type] || 'request';
+  const forOrder = ticket.orderNumber ? ` for order ${ticket.orderNumber}` : '';
+  return {
+    ticketId: ticket.ticketId,
+    type: ticket.type,
+    status: ticket.status,
+    orderNumber: ticket.orderNumber,
+    createdOn: formatDate(ticket.createdAt),
+    lastUpdatedOn: formatDate(ticket.updatedAt),
+    summary: `Your ${label}${forOrder}, reference ${ticket.ticketId}, was opened on ${formatDate(ticket.createdAt)} and is currently ${ticket.status.toLowerCase().replace(/_/g, ' ')}.`,
+  };
+};
+
+// Tickets the support team still has to act on.
+const OPEN_TICKET_STATUSES = ['OPEN', 'IN_PROGRESS'];
+
+const CUSTOMER_SEGMENT_LABELS = {
+  VIP: 'VIP customer',
+  RETURNING: 'Returning customer',
+  FIRST_TIME: 'First-time customer',
+  NO_ORDERS: 'Customer with no orders yet',
+};
+
+// Account context for the agent rather than a script to read out: who the caller is to the store,
+// and whether support already owes them an answer.
+const formatCustomerProfileForAI = (store, customerNode, openEscalations, formatter = DEFAULT_FORMATTER) => {
+  const orderCount = parseInt(customerNode.numberOfOrders, 10) || 0;
+  const segment = getCustomerSegment({
+    tags: customerNode.tags || [],
+    orderCount,
+    lifetimeSpend: parseFloat(customerNode.amountSpent?.amount) || 0,
+  }, getLoyaltyRules(store));
+  const lastOrder = customerNode.lastOrder;
+  const customerSince = customerNode.createdAt ? formatDate(customerNode.createdAt, formatter) : null;
+  const summaryParts = [`${CUSTOMER_SEGMENT_LABELS[segment]}${customerSince ? ` since ${customerSince}` : ''} with ${orderCount} order(s).`];
+  if (openEscalations.length > 0) {
+    summaryParts.push(`Open support requests: ${openEscalations.map(ticket => ticket.ticketId).join(', ')}.`);
+  }
+  return {
+    customerId: customerNode.id,
+    firstName: customerNode.firstName || null,
+    customerName: [customerNode.firstName, customerNode.lastName].filter(Boolean).join(' ') || null,
+    customerEmail: customerNode.email || null,
+    customerSince,
+    segment,
+    orderCount,
+    lifetimeSpend: formatMoney(customerNode.amountSpent, formatter),
+    lastOrderNumber: lastOrder?.name || null,
+    lastOrderDate: lastOrder ? formatDate(lastOrder.processedAt, formatter) : null,
+    tags: customerNode.tags || [],
+    note: customerNode.note || null,
+    marketingConsent: {
+      email: customerNode.emailMarketingConsent?.marketingState || null,
+      sms: customerNode.smsMarketingConsent?.marketingState || null,
+    },
+    openEscalations: openEscalations.map(formatTicketForAI),
+    hasOpenEscalations: openEscalations.length > 0,
+    // VIPs and callers support already owes an answer are handed to a person sooner.
+    prioritySupport: segment === 'VIP' || openEscalations.length > 0,
+    summary: summaryParts.join(' '),
+  };
+};
+
+// Until the caller is verified, the agent gets a first name to greet them by and coarse flags to
+// pitch its tone. IDs, order and ticket numbers, tags and consent could help someone pass
+// verification or look up tickets, so they wait.
+const redactCustomerProfileForAI = (profile) => ({
+  firstName: profile.firstName,
+  segment: profile.segment,
+  hasOpenEscalations: profile.hasOpenEscalations,
+  prioritySupport: profile.prioritySupport,
+  redacted: true,
+});
+
+// Callback times are offered to the caller in their own timezone.
+const formatCallbackSlot = (slot, formatter = DEFAULT_FORMATTER) => ({
+  slotId: slot.slotId,
+  window: formatter.formatTimeWindow(slot.start, slot.end),
+});
+
+const describeAvailableCallbackSlots = (slots) => slots.length > 0
+  ? `The support team can call you back on ${joinForSpeech(slots.map(slot => slot.window), 'or')}.`
+  : "There are no callback times available in the next few days.";
+
+// Support sees callback times in the team's own timezone, with the caller's local time alongside
+// when it differs.
+const formatCallbackForSupport = (store, callback) => {
+  const teamTimeZone = getCallbackSchedule(store).timeZone;
+  const formatWindow = (timeZone) => createFormatter({ locale: store.email.locale, timeZone }).formatTimeWindow(callback.slotStart, callback.slotEnd);
+  return {
+    callbackId: callback.callbackId,
+    ticketId: callback.ticketId,
+    status: callback.status,
+    slotStart: callback.slotStart,
+    slotEnd: callback.slotEnd,
+    window: formatWindow(teamTimeZone),
+    customerWindow: callback.customerTimeZone && callback.customerTimeZone !== teamTimeZone ? formatWindow(callback.customerTimeZone) : null,
+    customerName: callback.customerName,
+    phoneNumber: callback.phoneNumber,
+    overdue: callback.status === 'SCHEDULED' && new Date(callback.slotEnd).getTime() < Date.now(),
+    completedAt: callback.completedAt || null,
+    note: callback.note || null,
+  };
+};
+
+// A one-sentence version of a formatted order that the agent can read aloud in a list.
+const summarizeOrderForSpeech = (order) => {
+  const parts = [`Order ${order.orderNumber}`];
+  if (order.orderDate) parts.push(`placed on ${order.orderDate}`);
+  const details = [order.itemsSummary];
+  if (order.pricing?.total) details.push(`Total ${order.pricing.total}`);
+  if (order.status.fulfillment) details.push(`Status: ${order.status.fulfillment.toLowerCase().replace(/_/g, ' ')}`);
+  return `${parts.join(', ')}: ${details.join('. ')}.`;
+};
+
+// Builds a Shopify product search from the caller's words. Free text is stripped of search syntax
+// and field values are quoted, so callers can't change the query's meaning.
+const buildProductSearchQuery = ({ query, sku, productType }) => {
+  const quote = (value) => `"${String(value).replace(/["\\]/g, '')}"`;
+  const terms = ['status:active'];
+  if (query) {
+    // Lowercased so words like "OR" and "NOT" are searched for rather than treated as operators.
+    const words = String(query).replace(/[^\p{L}\p{N}\s'-]/gu, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+    if (words) terms.push(`(${words})`);
+  }
+  if (sku) terms.push(`sku:${quote(sku)}`);
+  if (productType) terms.push(`product_type:${quote(productType)}`);
+  return terms.join(' AND ');
+};
+
+const AVAILABILITY_PHRASES = {
+  IN_STOCK: 'in stock',
+  LOW_STOCK: 'low in stock',
+  BACKORDER: 'available on backorder',
+  OUT_OF_STOCK: 'out of stock',
+};
+
+const getVariantAvailability = (variant, tracksInventory) => {
+  if (!tracksInventory || typeof variant.inventoryQuantity !== 'number') {
+    return variant.availableForSale ? 'IN_STOCK' : 'OUT_OF_STOCK';
+  }
+  if (variant.inventoryQuantity > LOW_STOCK_THRESHOLD) return 'IN_STOCK';
+  if (variant.inventoryQuantity > 0) return 'LOW_STOCK';
+  return variant.inventoryPolicy === 'CONTINUE' ? 'BACKORDER' : 'OUT_OF_STOCK';
+};
+
+// "Small and Medium", "Small, Medium and Large".
+const joinForSpeech = (names, conjunction = 'and') => names.length > 1 ? `${names.slice(0, -1).join(', ')} ${conjunction} ${names[names.length - 1]}` : names[0];
+
+// Unlike formatMoney, zero is kept: a variant priced at zero is free, not unpriced.
+const formatPrice = (amount, currencyCode, formatter) =>
+  amount !== null && amount !== undefined && !isNaN(parseFloat(amount)) ? formatter.formatMoney(amount, currencyCode) : null;
+
+const formatProductForAI = (productNode, currencyCode, formatter = DEFAULT_FORMATTER) => {
+  const variantNodes = productNode.variants?.edges?.map(({ node }) => node) ?? [];
+  const variants = variantNodes.map(node => ({
+    name: node.title === 'Default Title' ? null : node.title,
+    sku: node.sku || null,
+    price: formatPrice(node.price, currencyCode, formatter),
+    availability: getVariantAvailability(node, productNode.tracksInventory),
+    quantityAvailable: productNode.tracksInventory && typeof node.inventoryQuantity === 'number' ? Math.max(node.inventoryQuantity, 0) : null,
+  }));
+
+  let summary;
+  if (variants.length <= 1) {
+    const variant = variants[0];
+    summary = variant
+      ? `${productNode.title}${variant.price !== null ? ` costs ${variant.price} and` : ''} is ${AVAILABILITY_PHRASES[variant.availability]}.`
+      : `${productNode.title} has no options available.`;
+  } else {
+    const amounts = variantNodes.map(node => parseFloat(node.price)).filter(amount => !isNaN(amount));
+    const minPrice = formatPrice(Math.min(...amounts), currencyCode, formatter);
+    const maxPrice = formatPrice(Math.max(...amounts), currencyCode, formatter);
+    const priceText = minPrice === maxPrice ? ` at ${minPrice}` : ` priced from ${minPrice} to ${maxPrice}`;
+
+    const namesByAvailability = new Map();
+    variants.forEach(variant => {
+      namesByAvailability.set(variant.availability, [...(namesByAvailability.get(variant.availability) || []), variant.name]);
+    });
+    const availabilityText = namesByAvailability.size === 1
+      ? `all of them are ${AVAILABILITY_PHRASES[variants[0].availability]}`
+      : [...namesByAvailability].map(([availability, names]) =>
+          `${joinForSpeech(names)} ${names.length > 1 ? 'are' : 'is'} ${AVAILABILITY_PHRASES[availability]}`).join('; ');
+    summary = `${productNode.title} comes in ${variants.length} options${amounts.length > 0 ? priceText : ''}; ${availabilityText}.`;
+  }
+
+  return {
+    name: productNode.title,
+    productType: productNode.productType || null,
+    description: productNode.description || null,
+    variants,
+    summary,
+  };
+};
+
+// The order name as the store writes it ("#1042"), so tickets can be found by it whichever way the
+// caller said the number. Falls back to what was said when it has no digits at all.
+const toOrderDisplayName = (store, spokenOrderNumber) => spokenOrderNumber
+  ? parseOrderNumber(spokenOrderNumber, store.orderNumberFormat)?.displayName || String(spokenOrderNumber).trim()
+  : spokenOrderNumber;
+
+// Looks an order up by the number the caller said. If nothing matches, likely mishearings are checked
+// in a single query and returned as suggestions for the agent to confirm, never used directly.
+const findOrderByNumber = async (store, spokenOrderNumber, { bypassCache = false, withSuggestions = true } = {}) => {
+  const parsed = parseOrderNumber(spokenOrderNumber, store.orderNumberFormat);
+  if (!parsed) return { order: null, orderName: String(spokenOrderNumber).trim(), suggestions: [] };
+
+  const data = await fetchShopifyData(GET_ORDER_BY_ID_QUERY, { nameQuery: `name:${parsed.searchName}` }, { store, bypassCache });
+  const order = data?.orders?.edges?.[0]?.node;
+  if (order || !withSuggestions) return { order: order || null, orderName: parsed.displayName, suggestions: [] };
+
+  const alternatives = getOrderNumberAlternatives(spokenOrderNumber, store.orderNumberFormat);
+  if (alternatives.length === 0) return { order: null, orderName: parsed.displayName, suggestions: [] };
+  const suggestionData = await fetchShopifyData(FIND_ORDER_NAMES_QUERY, {
+    nameQuery: alternatives.map(alternative => `name:${alternative.searchName}`).join(' OR '),
+  }, { store });
+  const suggestions = suggestionData?.orders?.edges?.map(({ node }) => node.name) ?? [];
+  return { order: null, orderName: parsed.displayName, suggestions };
+};
+
+const describeOrderNotFound = ({ orderName, suggestions }) =>
+  `I couldn't find an order with the number ${orderName}.${suggestions.length > 0 ? ` Did you mean ${joinForSpeech(suggestions, 'or')}?` : ''}`;
+
+// Tries each stored form of the caller's phone number until Shopify finds a customer.
+const fetchByPhone = async (store, graphqlQuery, normalizedPhone, hasMatch) => {
+  let data = null;
+  for (const candidate of getPhoneSearchCandidates(normalizedPhone)) {
+    data = await fetchShopifyData(graphqlQuery, { phoneQuery: `phone:${candidate}` }, { store });
+    if (hasMatch(data)) break;
+  }
+  return data;
+};
+
+// Several customer accounts can share a phone number; a customerId from an earlier answer, or the
+// account email, narrows them down. Returns every account that still matches.
+const findCustomersByPhone = async (store, normalizedPhone, { customerId, customerEmail } = {}) => {
+  const data = await fetchByPhone(store, FIND_CUSTOMERS_BY_PHONE_QUERY, normalizedPhone,
+    (result) => result?.customers?.edges?.length > 0);
+  const customers = data?.customers?.edges?.map(({ node }) => node) ?? [];
+  if (customerId) return customers.filter(c => c.id === customerId);
+  if (customerEmail && customers.length > 1) {
+    return customers.filter(c => c.email?.toLowerCase() === customerEmail.trim().toLowerCase());
+  }
+  return customers;
+};
+
+const describeCustomerSelectionNeeded = (customers) => ({
+  success: false,
+  requiresCustomerSelection: true,
+  message: "That phone number is linked to more than one customer account. Please ask the caller for the email address on their account.",
+  customers: customers.map(c => ({ customerId: c.id })),
+});
+
+// An order can only be edited safely if nothing on it has shipped yet.
+const isOrderUnfulfilled = (orderNode) =>
+  orderNode.displayFulfillmentStatus === 'UNFULFILLED' && !(orderNode.fulfillments?.length > 0);
+
+const formatAddressForSpeech = (address) =>
+  [address.address1, address.address2, address.city, address.provinceCode, address.zip].filter(Boolean).join(', ');
+
+// Attempts to write the new shipping address to Shopify. Returns { applied, reason, address }
+// so the caller can fall back to the manual email flow when the order isn't eligible. Like
+// cancellations, only a verified caller may change the order directly.
+const applyAddressChangeInShopify = async (store, orderNumber, newAddressDetails, verificationToken) => {
+  const address = parseAddressDetails(newAddressDetails);
+  if (!address) return { applied: false, reason: 'ADDRESS_NOT_RECOGNIZED' };
+
+  const { order } = await findOrderByNumber(store, orderNumber, { bypassCache: true, withSuggestions: false });
+  if (!order) return { applied: false, reason: 'ORDER_NOT_FOUND' };
+  if (REQUIRE_CALLER_VERIFICATION &&
+    !isCallerVerified(verificationToken, { storeId: store.id, orderNumber: order.name, customerEmail: order.customer?.email })) {
+    return { applied: false, reason: 'CALLER_NOT_VERIFIED' };
+  }
+  if (!isOrderUnfulfilled(order)) return { applied: false, reason: 'ORDER_ALREADY_SHIPPED' };
+
+  // orderUpdate replaces the whole address, so the recipient's name, company and phone are carried over.
+  const { firstName, lastName, company, phone } = order.shippingAddress || {};
+  const result = await fetchShopifyData(UPDATE_ORDER_SHIPPING_ADDRESS_MUTATION, {
+    input: { id: order.id, shippingAddress: { firstName, lastName, company, phone, ...address } }
+  }, { store });
+  const userErrors = result?.orderUpdate?.userErrors || [];
+  if (userErrors.length > 0) {
+    console.error("Shopify orderUpdate user errors:", userErrors);
+    return { applied: false, reason: 'SHOPIFY_REJECTED_UPDATE' };
+  }
+
+  return { applied: true, address };
+};
+
+// Decides whether an order can still be cancelled, with a reason the agent can read to the caller.
+const evaluateCancellationEligibility = (store, orderNode) => {
+  if (orderNode.cancelledAt) {
+    return { eligible: false, reason: 'ALREADY_CANCELLED', message: "This order has already been cancelled." };
+  }
+  if (['REFUNDED', 'VOIDED'].includes(orderNode.displayFinancialStatus)) {
+    return { eligible: false, reason: 'ALREADY_REFUNDED', message: "This order has already been refunded." };
+  }
+  const order = formatOrderForAI(orderNode, null, DEFAULT_FORMATTER, getShippingRules(store));
+  if (order.items.some(item => item.fulfillmentStatus === 'FULFILLED') || !isOrderUnfulfilled(orderNode)) {
+    return {
+      eligible: false,
+      reason: 'ALREADY_FULFILLED',
+      message: "Part or all of this order has already been fulfilled, so it can no longer be cancelled. A return may be possible once it arrives."
+    };
+  }
+  if (order.items.some(item => item.itemCategory === 'DIGITAL')) {
+    return {
+      eligible: false,
+      reason: 'CONTAINS_DIGITAL_ITEMS',
+      message: "This order contains digital items, which are delivered immediately and can't be cancelled automatically."
+    };
+  }
+  return { eligible: true, reason: 'ELIGIBLE', message: "This order hasn't been fulfilled yet and is eligible for cancellation." };
+};
+
+const describeReturnIneligibility = (reason, policy) => ({
+  DIGITAL_ITEM: "Digital items can't be returned.",
+  CUSTOMIZED_ITEM: "Custom-made items can't be returned.",
+  NOT_SHIPPED: "This item hasn't shipped yet, so the order may be cancellable instead.",
+  WINDOW_EXPIRED: `The ${policy.windowDays}-day return window for this item has passed.`,
+}[reason] || "This item can't be returned.");
+
+// Checks every line item against the store's return policy. Returnable items keep the fulfillment
+// line items Shopify needs to file the return; strip them before replying to the agent.
+const evaluateReturnEligibility = (store, orderNode, formatter = DEFAULT_FORMATTER) => {
+  const policy = getReturnPolicy(store);
+  const order = formatOrderForAI(orderNode, null, formatter, getShippingRules(store));
+
+  // The window runs from the most recent shipment that included the item.
+  const fulfilledLines = new Map();
+  orderNode.fulfillments?.forEach(fulfillment => {
+    fulfillment.fulfillmentLineItems?.edges?.forEach(({ node }) => {
+      if (!node.lineItem?.id) return;
+      const entry = fulfilledLines.get(node.lineItem.id) || { fulfilledAt: fulfillment.createdAt, fulfillmentLineItems: [] };
+      if (new Date(fulfillment.createdAt) > new Date(entry.fulfilledAt)) entry.fulfilledAt = fulfillment.createdAt;
+      entry.fulfillmentLineItems.push({ id: node.id, quantity: node.quantity });
+      fulfilledLines.set(node.lineItem.id, entry);
+    });
+  });
+
+  const lineItemNodes = orderNode.lineItems?.edges?.map(({ node }) => node) ?? [];
+  const returnable = [];
+  const notReturnable = [];
+  order.items.forEach((item, index) => {
+    const lineItem = lineItemNodes[index];
+    const fulfilled = fulfilledLines.get(lineItem.id);
+    const check = checkItemReturnable({
+      itemCategory: item.itemCategory,
+      fulfillmentStatus: item.fulfillmentStatus,
+      productType: lineItem.variant?.product?.productType,
+      fulfilledAt: fulfilled?.fulfilledAt,
+    }, policy);
+    const summary = { name: item.name, variant: item.variant, quantity: item.quantity };
+    if (check.returnable) {
+      returnable.push({ ...summary, returnableUntil: formatDate(check.returnableUntil, formatter), fulfillmentLineItems: fulfilled.fulfillmentLineItems });
+    } else {
+      notReturnable.push({ ...summary, reason: check.reason, message: describeReturnIneligibility(check.reason, policy) });
+    }
+  });
+
+  return { policy, returnable, notReturnable };
+};
+
+// Matches the item names the caller gave against the returnable items, exact names first.
+const selectReturnItems = (returnableItems, requestedNames) => {
+  const selected = [];
+  const unmatched = [];
+  for (const requestedName of requestedNames) {
+    const wanted = String(requestedName).trim().toLowerCase();
+    const match = returnableItems.find(item => item.name.toLowerCase() === wanted)
+      || returnableItems.find(item => item.name.toLowerCase().includes(wanted));
+    if (!match) unmatched.push(requestedName);
+    else if (!selected.includes(match)) selected.push(match);
+  }
+  return { selected, unmatched };
+};
+
+const toPublicReturnItem = ({ fulfillmentLineItems, ...item }) => item;
+
+// --- Tool Registration ---
+// Agent-callable endpoints are registered through toolRoute so the schema in utils/toolSchemas.js
+// validates their input and the voice platform adapter can call them directly.
+
+const toolHandlers = new Map();
+
+// Checks the client's scope and the per-phone rate limits for a tool call. Returns the rejection to
+// send, or null when the call may go ahead.
+const checkToolAccess = (toolName, client, args, store) => {
+  const { scope } = getToolDefinition(toolName);
+  if (!clientHasScope(client, scope)) {
+    return { statusCode: 403, body: { success: false, error: `This API client is not allowed to call ${toolName} (requires "${scope}" access).` } };
+  }
+
+  const phone = args.phone || args.phoneNumber;
+  if (!phone) return null;
+  // Normalized so "555-123-4567" and "+1 555 123 4567" share a limit.
+  const phoneKey = `${store.id}:${normalizePhoneNumber(phone, store.phoneCountry) || String(phone).replace(/\D/g, '')}`;
+  const limiters = scope === 'write' ? [phoneRateLimiter, phoneWriteRateLimiter] : [phoneRateLimiter];
+  for (const limiter of limiters) {
+    const { allowed, retryAfterSeconds } = limiter.consume(phoneKey);
+    if (!allowed) {
+      return {
+        statusCode: 429,
+        body: {
+          success: false,
+          error: "Too many requests for this phone number. Ask the caller to try again later.",
+          retryAfterSeconds,
+        },
+      };
+    }
+  }
+  return null;
+};
+
+const validateToolRequest = (toolName) => (req, res, next) => {
+  const { args, error } = validateToolArguments(toolName, req.body);
+  if (error) return res.status(400).json({ success: false, error });
+  req.body = args;
+
+  const rejection = checkToolAccess(toolName, req.client, args, req.store);
+  if (rejection?.statusCode === 429) return sendRateLimited(res, rejection.body.retryAfterSeconds, rejection.body.error);
+  if (rejection) return res.status(rejection.statusCode).json(rejection.body);
+  next();
+};
+
+const toolRoute = (toolName, handler) => {
+  toolHandlers.set(toolName, handler);
+  app.post(getToolDefinition(toolName).path, validateToolRequest(toolName), handler);
+};
+
+// Runs a tool handler in-process with a minimal req/res pair and resolves with what it responded.
+// Each call gets its own audit entry, since one platform request can carry several tool calls.
+const invokeTool = (toolName, rawArgs, req, callId) => new Promise((resolve) => {
+  const entry = startAuditEntry({ callId, endpoint: getToolDefinition(toolName)?.path || toolName });
+  const finish = (result, toolReq) => {
+    // Tool names come from the platform, so unknown ones share a label.
+    recordRequest({ endpoint: getToolDefinition(toolName)?.path || 'unknown_tool', statusCode: result.statusCode, durationSeconds: getElapsedSeconds(entry) });
+    finishAuditEntry(entry, { ...result, requestBody: toolReq?.body ?? rawArgs, storeId: toolReq?.store?.id, clientId: req.client?.id });
+    resolve(result);
+  };
+
+  const handler = toolHandlers.get(toolName);
+  if (!handler) return finish({ statusCode: 404, body: { success: false, error: `Unknown tool: ${toolName}` } });
+
+  const { args, error } = validateToolArguments(toolName, rawArgs);
+  if (error) return finish({ statusCode: 400, body: { success: false, error } });
+
+  // Headers (X-Store-Id, X-Dialed-Number) come from the platform's request; the store may also be in the arguments.
+  const toolReq = { body: args, get: (header) => req.get(header), client: req.client };
+  const { store, error: storeError } = resolveStoreForRequest(toolReq);
+  if (storeError) return finish({ statusCode: 400, body: { success: false, error: storeError } }, toolReq);
+  if (!clientCanAccessStore(req.client, store.id)) {
+    return finish({ statusCode: 403, body: { success: false, error: describeStoreAccessDenied(store) } }, toolReq);
+  }
+  toolReq.store = store;
+
+  const rejection = checkToolAccess(toolName, req.client, args, store);
+  if (rejection) return finish(rejection, toolReq);
+
+  let statusCode = 200;
+  const toolRes = {
+    status(code) {
+      statusCode = code;
+      return toolRes;
+    },
+    json(body) {
+      finish({ statusCode, body }, toolReq);
+      return toolRes;
+    },
+  };
+  runWithAuditEntry(entry, () => Promise.resolve(handler(toolReq, toolRes))).catch(handlerError => {
+    console.error(`Error running tool ${toolName}:`, handlerError.message);
+    finish({ statusCode: 500, body: { success: false, error: "Internal error running tool." } }, toolReq);
+  });
+});
+
 // --- API Endpoints ---
-// The endpoints below remain unchanged and will now work correctly with the fixed helper function.
 
-app.post('/getOrderByPhone', async (req, res) => {
-  const { phone } = req.body;
-  if (!phone) return res.status(400).json({ success: false, error: "Phone number is required." });
-  const normalizedPhone = normalizePhoneNumber(phone);
-  if (!normalizedPhone) return res.status(400).json({ success: false, error: `Invalid phone number format: ${phone}` });
+app.get('/tools', (req, res) => res.json({ tools: getOpenAIToolManifest() }));
+
+app.post('/voice/:platform', async (req, res) => {
+  const adapter = getPlatformAdapter(req.params.platform);
+  if (!adapter) {
+    return res.status(404).json({ success: false, error: `Unsupported voice platform: ${req.params.platform}` });
+  }
+  const toolCalls = adapter.parseToolCalls(req.body);
+  if (toolCalls.length === 0) {
+    return res.status(400).json({ success: false, error: "No tool calls found in the request." });
+  }
+
+  const results = [];
+  for (const toolCall of toolCalls) {
+    const result = await invokeTool(toolCall.name, toolCall.args, req, toolCall.callId);
+    results.push({ toolCallId: toolCall.toolCallId, ...result });
+  }
+  res.json(adapter.formatResponse(results));
+});
+
+toolRoute('getOrderByPhone', async (req, res) => {
+  const { phone, verificationToken } = req.body;
+  const normalizedPhone = normalizePhoneNumber(phone, req.store.phoneCountry);
+  if (!normalizedPhone) return res.status(400).json({ success: false, error: "Invalid phone number format." });
+  const { formatter, error: formatError } = getFormatterForRequest(req);
+  if (formatError) return res.status(400).json({ success: false, error: formatError });
   try {
-    const data = await fetchShopifyData(GET_LATEST_ORDER_BY_CUSTOMER_PHONE_QUERY, { phoneQuery: `phone:${normalizedPhone}` });
+    const data = await fetchByPhone(req.store, GET_LATEST_ORDER_BY_CUSTOMER_PHONE_QUERY, normalizedPhone,
+      (result) => result?.customers?.edges?.length > 0);
     const customer = data?.customers?.edges?.[0]?.node;
     const latestOrder = customer?.orders?.edges?.[0]?.node;
+    recordLookup('order_by_phone', Boolean(customer && latestOrder));
     if (customer && latestOrder) {
-      res.json({ success: true, order: formatOrderForAI(latestOrder, customer) });
+      const recentNotifications = await getRecentNotificationsForSpeech({ storeId: req.store.id, email: customer.email, phone: normalizedPhone }, formatter);
+      res.json({
+        success: true,
+        order: presentOrderForCaller(req.store, latestOrder, customer, verificationToken, formatter),
+        recentNotifications
+      });
     } else {
       res.json({ success: false, message: `I couldn't find any recent orders with that phone number.` });
     }
@@ -193,18 +1183,93 @@ app.post('/getOrderByPhone', async (req, res) => {
   }
 });
 
+toolRoute('getOrdersByPhone', async (req, res) => {
+  const { phone, customerEmail, customerId, cursor, verificationToken } = req.body;
+  const normalizedPhone = normalizePhoneNumber(phone, req.store.phoneCountry);
+  if (!normalizedPhone) return res.status(400).json({ success: false, error: "Invalid phone number format." });
+  const limit = clampLimit(req.body.limit, MAX_ORDER_HISTORY_LIMIT, DEFAULT_ORDER_HISTORY_LIMIT);
+  const { formatter, error: formatError } = getFormatterForRequest(req);
+  if (formatError) return res.status(400).json({ success: false, error: formatError });
+  try {
+    const customers = await findCustomersByPhone(req.store, normalizedPhone, { customerId, customerEmail });
+    if (customers.length === 0) {
+      recordLookup('orders_by_phone', false);
+      return res.json({ success: false, message: `I couldn't find a customer account with that phone number.` });
+    }
+    if (customers.length > 1) return res.json(describeCustomerSelectionNeeded(customers));
+
+    const data = await fetchShopifyData(GET_ORDERS_BY_CUSTOMER_ID_QUERY, {
+      customerId: customers[0].id,
+      first: limit,
+      after: cursor || null,
+    }, { store: req.store });
+    const customer = data?.customer;
+    const orderEdges = customer?.orders?.edges ?? [];
+    recordLookup('orders_by_phone', Boolean(customer) && orderEdges.length > 0);
+    if (!customer || orderEdges.length === 0) {
+      return res.json({ success: false, message: `I couldn't find any orders with that phone number.` });
+    }
+
+    const orders = orderEdges.map(({ node }) => {
+      const order = presentOrderForCaller(req.store, node, customer, verificationToken, formatter);
+      return { ...order, summary: summarizeOrderForSpeech(order) };
+    });
+    const pageInfo = customer.orders.pageInfo;
+    res.json({
+      success: true,
+      customerId: customers[0].id,
+      orders,
+      pagination: {
+        hasMore: pageInfo?.hasNextPage || false,
+        nextCursor: pageInfo?.hasNextPage ? pageInfo.endCursor : null,
+      },
+    });
+  } catch (error) {
+    console.error("Error in /getOrdersByPhone:", error.message);
+    res.status(500).json({ success: false, error: "Internal error fetching order history." });
+  }
+});
 
-app.post('/getOrderById', async (req, res) => {
-  const { orderNumber } = req.body;
-  if (!orderNumber) return res.status(400).json({ success: false, error: "Order number is required." });
-  const cleanOrderNumber = orderNumber.replace('#', '').trim();
+toolRoute('getCustomerProfile', async (req, res) => {
+  const { phone, customerEmail, customerId, verificationToken } = req.body;
+  const normalizedPhone = normalizePhoneNumber(phone, req.store.phoneCountry);
+  if (!normalizedPhone) return res.status(400).json({ success: false, error: "Invalid phone number format." });
+  const { formatter, error: formatError } = getFormatterForRequest(req);
+  if (formatError) return res.status(400).json({ success: false, error: formatError });
   try {
-    const data = await fetchShopifyData(GET_ORDER_BY_ID_QUERY, { nameQuery: `name:${cleanOrderNumber}` });
-    const order = data?.orders?.edges?.[0]?.node;
-    if (order) {
-      res.json({ success: true, order: formatOrderForAI(order, null) });
+    const customers = await findCustomersByPhone(req.store, normalizedPhone, { customerId, customerEmail });
+    if (customers.length > 1) return res.json(describeCustomerSelectionNeeded(customers));
+    const data = customers.length === 1
+      ? await fetchShopifyData(GET_CUSTOMER_PROFILE_QUERY, { customerId: customers[0].id }, { store: req.store })
+      : null;
+    const customer = data?.customer;
+    recordLookup('customer_profile', Boolean(customer));
+    if (!customer) {
+      return res.json({ success: false, message: `I couldn't find a customer account with that phone number.` });
+    }
+    const tickets = await findTickets({ storeId: req.store.id, phone: normalizedPhone });
+    const openEscalations = tickets.filter(ticket => ticket.type === 'ESCALATION' && OPEN_TICKET_STATUSES.includes(ticket.status));
+    const profile = formatCustomerProfileForAI(req.store, customer, openEscalations, formatter);
+    const verified = !REQUIRE_CALLER_VERIFICATION ||
+      isCallerVerified(verificationToken, { storeId: req.store.id, customerEmail: customer.email });
+    res.json({ success: true, profile: verified ? profile : redactCustomerProfileForAI(profile) });
+  } catch (error) {
+    console.error("Error in /getCustomerProfile:", error.message);
+    res.status(500).json({ success: false, error: "Internal error fetching customer profile." });
+  }
+});
+
+toolRoute('getOrderById', async (req, res) => {
+  const { orderNumber, verificationToken } = req.body;
+  const { formatter, error: formatError } = getFormatterForRequest(req);
+  if (formatError) return res.status(400).json({ success: false, error: formatError });
+  try {
+    const lookup = await findOrderByNumber(req.store, orderNumber);
+    recordLookup('order_by_number', Boolean(lookup.order));
+    if (lookup.order) {
+      res.json({ success: true, order: presentOrderForCaller(req.store, lookup.order, null, verificationToken, formatter) });
     } else {
-      res.json({ success: false, message: `I couldn't find an order with the number ${cleanOrderNumber}` });
+      res.json({ success: false, message: describeOrderNotFound(lookup), suggestions: lookup.suggestions });
     }
   } catch (error) {
     console.error("Error in /getOrderById:", error.message);
@@ -212,35 +1277,156 @@ app.post('/getOrderById', async (req, res) => {
   }
 });
 
-app.post('/escalateToSupport', async (req, res) => {
-  const { customerName, customerEmail, orderNumber, phoneNumber, issueSummary } = req.body;
-  if (!issueSummary || !customerName || !phoneNumber) {
-    return res.status(400).json({ 
-      success: false, 
-      error: "An issue summary, customer name, and phone number are required for escalation." 
+toolRoute('searchProducts', async (req, res) => {
+  const { query, sku, productType } = req.body;
+  const limit = clampLimit(req.body.limit, MAX_PRODUCT_SEARCH_LIMIT, DEFAULT_PRODUCT_SEARCH_LIMIT);
+  const { formatter, error: formatError } = getFormatterForRequest(req);
+  if (formatError) return res.status(400).json({ success: false, error: formatError });
+  try {
+    const data = await fetchShopifyData(SEARCH_PRODUCTS_QUERY, {
+      query: buildProductSearchQuery({ query, sku, productType }),
+      first: limit,
+    }, { store: req.store });
+    const productNodes = data?.products?.edges?.map(({ node }) => node) ?? [];
+    recordLookup('product_search', productNodes.length > 0);
+    if (productNodes.length === 0) {
+      return res.json({ success: false, message: `I couldn't find any products matching ${query || sku || productType}.` });
+    }
+    const products = productNodes.map(node => formatProductForAI(node, data.shop?.currencyCode || 'USD', formatter));
+    res.json({
+      success: true,
+      products,
+      summary: products.map(product => product.summary).join(' '),
+    });
+  } catch (error) {
+    console.error("Error in /searchProducts:", error.message);
+    res.status(500).json({ success: false, error: "Internal error searching products." });
+  }
+});
+
+toolRoute('verifyCaller', async (req, res) => {
+  const { orderNumber, email, zip, lastName } = req.body;
+  const cleanOrderNumber = parseOrderNumber(orderNumber, req.store.orderNumberFormat)?.displayName || orderNumber;
+  if (isVerificationLocked(req.store.id, cleanOrderNumber)) {
+    return res.status(429).json({
+      success: false,
+      error: "Too many failed verification attempts for this order. Please escalate to a support agent."
+    });
+  }
+  try {
+    // No suggestions here, so a failed verification never reveals which order numbers exist.
+    const { order } = await findOrderByNumber(req.store, orderNumber, { withSuggestions: false });
+    const result = order ? matchCallerClaims(order, { email, zip, lastName }) : { verified: false };
+    if (!result.verified) {
+      recordFailedVerification(req.store.id, cleanOrderNumber);
+      return res.json({
+        success: false,
+        verified: false,
+        message: "I wasn't able to verify those details against the order."
+      });
+    }
+    const { token, expiresAt } = createVerificationToken({
+      storeId: req.store.id,
+      orderNumber: order.name,
+      customerEmail: order.customer?.email
+    });
+    res.json({
+      success: true,
+      verified: true,
+      verificationToken: token,
+      expiresAt,
+      matchedFactors: result.matchedFactors
     });
+  } catch (error) {
+    console.error("Error in /verifyCaller:", error.message);
+    res.status(500).json({ success: false, error: "Internal error verifying caller." });
   }
+});
+
+toolRoute('getCallbackSlots', async (req, res) => {
+  const limit = clampLimit(req.body.limit, MAX_CALLBACK_SLOT_LIMIT, DEFAULT_CALLBACK_SLOT_LIMIT);
+  const { formatter, error: formatError } = getFormatterForRequest(req);
+  if (formatError) return res.status(400).json({ success: false, error: formatError });
   try {
+    const slots = (await listAvailableSlots(req.store, { limit })).map(slot => formatCallbackSlot(slot, formatter));
+    res.json({ success: slots.length > 0, slots, message: describeAvailableCallbackSlots(slots) });
+  } catch (error) {
+    console.error("Error in /getCallbackSlots:", error.message);
+    res.status(500).json({ success: false, error: "Internal error listing callback times." });
+  }
+});
 
-//     console.log(`
-// Customer Name: ${customerName}
-// Customer Email: ${customerEmail}
-// Order Number: ${orderNumber}
-// Phone Number: ${phoneNumber}
-// Issue Summary: ${issueSummary}
-// `);
+toolRoute('escalateToSupport', async (req, res) => {
+  const { customerName, customerEmail, orderNumber, phoneNumber, issueSummary, transcript, recordingUrl, callbackSlot } = req.body;
+  const { formatter, error: formatError } = getFormatterForRequest(req);
+  if (formatError) return res.status(400).json({ success: false, error: formatError });
+  try {
+    // Checked before anything is filed, so the caller can pick another time.
+    if (callbackSlot && !(await findAvailableSlot(req.store, callbackSlot))) {
+      const slots = (await listAvailableSlots(req.store, { limit: DEFAULT_CALLBACK_SLOT_LIMIT })).map(slot => formatCallbackSlot(slot, formatter));
+      return res.json({
+        success: false,
+        reason: 'CALLBACK_SLOT_UNAVAILABLE',
+        slots,
+        message: `That callback time is no longer available. ${describeAvailableCallbackSlots(slots)}`
+      });
+    }
+
+    const ticket = await createTicket({
+      storeId: req.store.id,
+      type: 'ESCALATION',
+      phoneNumber,
+      orderNumber: toOrderDisplayName(req.store, orderNumber),
+      customerEmail,
+      payload: { customerName, customerEmail, orderNumber, phoneNumber, issueSummary, recordingUrl, callbackSlot, hasTranscript: !!transcript }
+    });
+    // Stored under the ticket ID so support can find it after the email is gone.
+    if (transcript) await saveTranscript(ticket.ticketId, transcript);
 
+    let callback = null;
+    if (callbackSlot) {
+      const booking = await bookCallback(req.store, {
+        slotId: callbackSlot,
+        ticketId: ticket.ticketId,
+        customerName,
+        phoneNumber: normalizePhoneNumber(phoneNumber, req.store.phoneCountry) || phoneNumber,
+        customerTimeZone: formatter.timeZone,
+      });
+      // Only fails if someone else took the last place in the slot since the check above.
+      if (booking.error) console.warn(`Could not book callback for ticket ${ticket.ticketId}: ${booking.error}`);
+      callback = booking.callback;
+    }
 
-    await sendEscalationEmail({
+    const { queued } = await sendEscalationEmail({
+      store: req.store,
       customerName,
       customerEmail,
       orderNumber,
       phoneNumber, 
-      issueSummary
+      issueSummary,
+      transcript,
+      recordingUrl,
+      ticketId: ticket.ticketId,
+      callback: callback && formatCallbackForSupport(req.store, callback)
     });
+
+    const callbackWindow = callback && formatter.formatTimeWindow(callback.slotStart, callback.slotEnd);
+    // A queued email is retried in the background, so the escalation isn't lost, but it hasn't reached the team yet.
+    const escalated = queued
+      ? 'Your escalation has been recorded, and the email to the support team is delayed but will be retried automatically'
+      : 'Escalation email has been sent to the support team';
+    let message = `${escalated}. The reference number is ${ticket.ticketId}.`;
+    if (callback) {
+      message = `${escalated}, and they will call you back on ${callbackWindow}. The reference number is ${ticket.ticketId}.`;
+    } else if (callbackSlot) {
+      message = `${escalated}, but the callback time you picked was just taken, so they will contact you as soon as they can. The reference number is ${ticket.ticketId}.`;
+    }
     res.status(200).json({ 
       success: true, 
-      message: "Escalation email has been sent to the support team." 
+      ticketId: ticket.ticketId,
+      queued,
+      callback: callback && { callbackId: callback.callbackId, window: callbackWindow },
+      message
     });
   } catch (error) {
     console.error("Error in /escalateToSupport endpoint:", error.message);
@@ -251,38 +1437,153 @@ app.post('/escalateToSupport', async (req, res) => {
   }
 });
 
-app.post('/requestAddressChange', async (req, res) => {
-  const { orderNumber, customerName, customerEmail, phoneNumber, oldAddressDetails, newAddressDetails } = req.body;
-  if (!orderNumber || !customerName || !phoneNumber || !oldAddressDetails || !newAddressDetails) {
-    return res.status(400).json({
-      success: false,
-      error: "Order number, customer name, phone number, old address, and new address details are required."
-    });
-  }
+toolRoute('requestCancellation', async (req, res) => {
+  const { orderNumber, customerName, customerEmail, phoneNumber, cancellationReason, verificationToken } = req.body;
   try {
+    const lookup = await findOrderByNumber(req.store, orderNumber, { bypassCache: true });
+    const { order } = lookup;
+    if (!order) {
+      return res.json({ success: false, message: describeOrderNotFound(lookup), suggestions: lookup.suggestions });
+    }
 
+    const eligibility = evaluateCancellationEligibility(req.store, order);
+    if (!eligibility.eligible) {
+      return res.json({ success: false, eligible: false, reason: eligibility.reason, message: eligibility.message });
+    }
+
+    const canCancelDirectly = CANCELLATION_MODE === 'shopify' && (!REQUIRE_CALLER_VERIFICATION ||
+      isCallerVerified(verificationToken, { storeId: req.store.id, orderNumber: order.name, customerEmail: order.customer?.email }));
+    if (canCancelDirectly) {
+      const result = await fetchShopifyData(CANCEL_ORDER_MUTATION, {
+        orderId: order.id,
+        reason: 'CUSTOMER',
+        refund: true,
+        restock: true,
+        notifyCustomer: true,
+        staffNote: `Cancelled by AI phone agent${cancellationReason ? `: ${cancellationReason}` : ''}`
+      }, { store: req.store });
+      const userErrors = result?.orderCancel?.orderCancelUserErrors || [];
+      if (userErrors.length === 0) {
+        const ticket = await createTicket({
+          storeId: req.store.id,
+          type: 'CANCELLATION',
+          status: 'RESOLVED',
+          phoneNumber,
+          orderNumber: order.name,
+          customerEmail: customerEmail || order.customer?.email,
+          payload: { orderNumber, customerName, customerEmail, phoneNumber, cancellationReason, method: 'SHOPIFY_CANCELLED' }
+        });
+        return res.json({
+          success: true,
+          eligible: true,
+          reason: eligibility.reason,
+          method: 'SHOPIFY_CANCELLED',
+          ticketId: ticket.ticketId,
+          // orderCancel only queues a job, so the cancellation may still be processing when the call ends.
+          message: "Your cancellation has been requested and is being processed. You'll get an email once the order is cancelled, and the refund will go back to the original payment method."
+        });
+      }
+      console.error("Shopify orderCancel user errors, falling back to email:", userErrors);
+    }
 
-//     console.log(`
-// Order Number: ${orderNumber}
-// Customer Name: ${customerName}
-// Customer Email: ${customerEmail}
-// Phone Number: ${phoneNumber}
-// Old Address: ${oldAddressDetails}
-// New Address: ${newAddressDetails}
-// `);
+    const ticket = await createTicket({
+      storeId: req.store.id,
+      type: 'CANCELLATION',
+      phoneNumber,
+      orderNumber: order.name,
+      customerEmail: customerEmail || order.customer?.email,
+      payload: { orderNumber, customerName, customerEmail, phoneNumber, cancellationReason, method: 'EMAIL_REQUESTED' }
+    });
+    const { queued } = await sendCancellationRequestEmail({
+      store: req.store,
+      orderNumber: order.name,
+      customerName,
+      customerEmail: customerEmail || order.customer?.email,
+      phoneNumber,
+      cancellationReason,
+      eligibilityNote: eligibility.message,
+      ticketId: ticket.ticketId
+    });
+    res.json({
+      success: true,
+      eligible: true,
+      reason: eligibility.reason,
+      method: 'EMAIL_REQUESTED',
+      ticketId: ticket.ticketId,
+      queued,
+      message: queued
+        ? `Your cancellation request has been recorded, but our email to the support team is delayed and will be retried automatically. They will confirm the cancellation and refund once it arrives. The reference number is ${ticket.ticketId}.`
+        : `Your cancellation request has been sent to our support team, who will confirm the cancellation and refund. The reference number is ${ticket.ticketId}.`
+    });
+  } catch (error) {
+    console.error("Error in /requestCancellation endpoint:", error.message);
+    res.status(500).json({
+      success: false,
+      error: "An internal server error occurred while processing the cancellation request."
+    });
+  }
+});
 
+toolRoute('requestAddressChange', async (req, res) => {
+  const { orderNumber, customerName, customerEmail, phoneNumber, oldAddressDetails, newAddressDetails, verificationToken } = req.body;
+  const addressChangePayload = { orderNumber, customerName, customerEmail, phoneNumber, oldAddressDetails, newAddressDetails };
+  let fallbackReason = 'AUTO_APPLY_DISABLED';
+  if (AUTO_APPLY_ADDRESS_CHANGES) {
+    try {
+      const result = await applyAddressChangeInShopify(req.store, orderNumber, newAddressDetails, verificationToken);
+      if (result.applied) {
+        const ticket = await createTicket({
+          storeId: req.store.id,
+          type: 'ADDRESS_CHANGE',
+          status: 'RESOLVED',
+          phoneNumber,
+          orderNumber: toOrderDisplayName(req.store, orderNumber),
+          customerEmail,
+          payload: { ...addressChangePayload, method: 'SHOPIFY_UPDATED' }
+        });
+        return res.status(200).json({
+          success: true,
+          method: 'SHOPIFY_UPDATED',
+          ticketId: ticket.ticketId,
+          newAddress: formatAddressForSpeech(result.address),
+          message: "The shipping address on your order has been updated."
+        });
+      }
+      fallbackReason = result.reason;
+    } catch (error) {
+      console.error("Error applying address change in Shopify, falling back to email:", error.message);
+      fallbackReason = 'SHOPIFY_UPDATE_FAILED';
+    }
+  }
 
-    await sendAddressChangeRequestEmail({
+  try {
+    const ticket = await createTicket({
+      storeId: req.store.id,
+      type: 'ADDRESS_CHANGE',
+      phoneNumber,
+      orderNumber: toOrderDisplayName(req.store, orderNumber),
+      customerEmail,
+      payload: { ...addressChangePayload, method: 'EMAIL_REQUESTED', reason: fallbackReason }
+    });
+    const { queued } = await sendAddressChangeRequestEmail({
+      store: req.store,
       orderNumber,
       customerName,
       customerEmail,
       phoneNumber,
       oldAddressDetails,
-      newAddressDetails
+      newAddressDetails,
+      ticketId: ticket.ticketId
     });
     res.status(200).json({
       success: true,
-      message: "Your address change request has been sent to our support team for review."
+      method: 'EMAIL_REQUESTED',
+      reason: fallbackReason,
+      ticketId: ticket.ticketId,
+      queued,
+      message: queued
+        ? `Your address change request has been recorded, but our email to the support team is delayed and will be retried automatically. The reference number is ${ticket.ticketId}.`
+        : `Your address change request has been sent to our support team for review. The reference number is ${ticket.ticketId}.`
     });
   } catch (error) {
     console.error("Error in /requestAddressChange endpoint:", error.message);
@@ -293,4 +1594,217 @@ app.post('/requestAddressChange', async (req, res) => {
   }
 });
 
-app.listen(PORT, () => console.log(`Middleware server running on http://localhost:${PORT}`));
\ No newline at end of file
+toolRoute('requestReturn', async (req, res) => {
+  const { orderNumber, customerName, customerEmail, phoneNumber, items, reasonCode, returnReason, exchangeDetails, verificationToken } = req.body;
+  const requestType = req.body.requestType || 'RETURN';
+  const action = requestType === 'EXCHANGE' ? 'exchange' : 'return';
+  const { formatter, error: formatError } = getFormatterForRequest(req);
+  if (formatError) return res.status(400).json({ success: false, error: formatError });
+  try {
+    const lookup = await findOrderByNumber(req.store, orderNumber, { bypassCache: true });
+    const { order } = lookup;
+    if (!order) {
+      return res.json({ success: false, message: describeOrderNotFound(lookup), suggestions: lookup.suggestions });
+    }
+    if (order.cancelledAt) {
+      return res.json({ success: false, eligible: false, reason: 'ORDER_CANCELLED', message: "This order was cancelled, so there is nothing to return." });
+    }
+
+    const { policy, returnable, notReturnable } = evaluateReturnEligibility(req.store, order, formatter);
+    if (returnable.length === 0) {
+      return res.json({
+        success: false,
+        eligible: false,
+        reason: 'NO_RETURNABLE_ITEMS',
+        nonReturnableItems: notReturnable,
+        message: `None of the items on this order can be ${action}ed. ${[...new Set(notReturnable.map(item => item.message))].join(' ')}`
+      });
+    }
+
+    const returnableNames = returnable.map(item => item.name).join(', ');
+    if (!items || items.length === 0) {
+      return res.json({
+        success: true,
+        requiresItemSelection: true,
+        returnWindowDays: policy.windowDays,
+        returnableItems: returnable.map(toPublicReturnItem),
+        nonReturnableItems: notReturnable,
+        message: `These items can be ${action}ed: ${returnableNames}. Please ask the caller which items they want to ${action}.`
+      });
+    }
+
+    const { selected, unmatched } = selectReturnItems(returnable, items);
+    if (unmatched.length > 0) {
+      return res.json({
+        success: false,
+        requiresItemSelection: true,
+        returnableItems: returnable.map(toPublicReturnItem),
+        nonReturnableItems: notReturnable,
+        message: `I couldn't match ${unmatched.join(', ')} to an item that can be ${action}ed. The items that can be ${action}ed are: ${returnableNames}.`
+      });
+    }
+
+    const selectedItems = selected.map(({ name, variant, quantity }) => ({ name, variant, quantity }));
+    const ticketPayload = { orderNumber, customerName, customerEmail, phoneNumber, requestType, items: selectedItems, reasonCode, returnReason, exchangeDetails };
+
+    const canRequestInShopify = RETURNS_MODE === 'shopify' && requestType === 'RETURN' && (!REQUIRE_CALLER_VERIFICATION ||
+      isCallerVerified(verificationToken, { storeId: req.store.id, orderNumber: order.name, customerEmail: order.customer?.email }));
+    if (canRequestInShopify) {
+      const result = await fetchShopifyData(RETURN_REQUEST_MUTATION, {
+        input: {
+          orderId: order.id,
+          returnLineItems: selected.flatMap(item => item.fulfillmentLineItems.map(line => ({
+            fulfillmentLineItemId: line.id,
+            quantity: line.quantity,
+            returnReason: reasonCode || 'OTHER',
+            customerNote: returnReason || null,
+          }))),
+        }
+      }, { store: req.store });
+      const userErrors = result?.returnRequest?.userErrors || [];
+      const shopifyReturn = result?.returnRequest?.return;
+      if (userErrors.length === 0 && shopifyReturn) {
+        const ticket = await createTicket({
+          storeId: req.store.id,
+          type: 'RETURN',
+          phoneNumber,
+          orderNumber: order.name,
+          customerEmail: customerEmail || order.customer?.email,
+          payload: { ...ticketPayload, method: 'SHOPIFY_RETURN_REQUESTED', shopifyReturnId: shopifyReturn.id, shopifyReturnName: shopifyReturn.name }
+        });
+        return res.json({
+          success: true,
+          eligible: true,
+          method: 'SHOPIFY_RETURN_REQUESTED',
+          ticketId: ticket.ticketId,
+          returnReference: shopifyReturn.name,
+          items: selectedItems,
+          message: `Your return request has been filed. The return reference is ${shopifyReturn.name}. You'll get an email with return instructions once it's approved.`
+        });
+      }
+      console.error("Shopify returnRequest user errors, falling back to email:", userErrors);
+    }
+
+    const ticket = await createTicket({
+      storeId: req.store.id,
+      type: requestType,
+      phoneNumber,
+      orderNumber: order.name,
+      customerEmail: customerEmail || order.customer?.email,
+      payload: { ...ticketPayload, method: 'EMAIL_REQUESTED' }
+    });
+    const { queued } = await sendReturnRequestEmail({
+      store: req.store,
+      orderNumber: order.name,
+      customerName,
+      customerEmail: customerEmail || order.customer?.email,
+      phoneNumber,
+      requestType,
+      items: selectedItems,
+      reasonCode,
+      returnReason,
+      exchangeDetails,
+      ticketId: ticket.ticketId
+    });
+    res.json({
+      success: true,
+      eligible: true,
+      method: 'EMAIL_REQUESTED',
+      ticketId: ticket.ticketId,
+      returnReference: ticket.ticketId,
+      items: selectedItems,
+      queued,
+      message: queued
+        ? `Your ${action} request has been recorded, but our email to the support team is delayed and will be retried automatically. They will email you return instructions once it arrives. The reference number is ${ticket.ticketId}.`
+        : `Your ${action} request has been sent to our support team, who will email you return instructions. The reference number is ${ticket.ticketId}.`
+    });
+  } catch (error) {
+    console.error("Error in /requestReturn endpoint:", error.message);
+    res.status(500).json({
+      success: false,
+      error: "An internal server error occurred while processing the return request."
+    });
+  }
+});
+
+toolRoute('getTicketStatus', async (req, res) => {
+  const { ticketId, phone, orderNumber } = req.body;
+  try {
+    const tickets = await findTickets({
+      storeId: req.store.id,
+      ticketId,
+      phone: phone && (normalizePhoneNumber(phone, req.store.phoneCountry) || phone),
+      orderNumber: toOrderDisplayName(req.store, orderNumber),
+    });
+    recordLookup('ticket_status', tickets.length > 0);
+    if (tickets.length === 0) {
+      return res.json({ success: false, message: "I couldn't find any previous requests matching those details." });
+    }
+    // Only the handful of most recent tickets are useful to read out on a call.
+    res.json({ success: true, tickets: tickets.slice(0, 5).map(formatTicketForAI) });
+  } catch (error) {
+    console.error("Error in /getTicketStatus:", error.message);
+    res.status(500).json({ success: false, error: "Internal error looking up ticket status." });
+  }
+});
+
+// --- Support Team Endpoints ---
+// Used by the support team's own tools rather than the voice agent, so they need the "support" scope.
+
+const requireScope = (scope) => (req, res, next) => {
+  if (!clientHasScope(req.client, scope)) {
+    return res.status(403).json({ success: false, error: `This API client is not allowed to use ${req.path} (requires "${scope}" access).` });
+  }
+  next();
+};
+
+// Lists scheduled callbacks by default, including overdue ones; ?status=COMPLETED or ?status=ALL for the rest.
+app.get('/callbacks', requireScope('support'), async (req, res) => {
+  const status = String(req.query.status || 'SCHEDULED').toUpperCase();
+  if (status !== 'ALL' && !CALLBACK_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `Invalid status: expected one of ${[...CALLBACK_STATUSES, 'ALL'].join(', ')}.` });
+  }
+  try {
+    const callbacks = await listCallbacks({ storeId: req.store.id, status: status === 'ALL' ? null : status });
+    res.json({ success: true, callbacks: callbacks.map(callback => formatCallbackForSupport(req.store, callback)) });
+  } catch (error) {
+    console.error("Error in /callbacks:", error.message);
+    res.status(500).json({ success: false, error: "Internal error listing callbacks." });
+  }
+});
+
+// Marks a callback as done. With "resolveTicket": true the escalation ticket is resolved as well.
+app.post('/callbacks/:callbackId/complete', requireScope('support'), async (req, res) => {
+  const { note, resolveTicket } = req.body || {};
+  try {
+    const callback = await completeCallback(req.store.id, req.params.callbackId, note);
+    if (!callback) return res.status(404).json({ success: false, error: `No callback found with ID ${req.params.callbackId}.` });
+    if (resolveTicket === true && callback.ticketId) {
+      await updateTicketStatus(callback.ticketId, 'RESOLVED', note || 'Resolved on callback.');
+    }
+    res.json({ success: true, callback: formatCallbackForSupport(req.store, callback) });
+  } catch (error) {
+    console.error("Error in /callbacks/:callbackId/complete:", error.message);
+    res.status(500).json({ success: false, error: "Internal error completing callback." });
+  }
+});
+
+// Body parser failures would otherwise get Express's HTML error page, stack trace included.
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ success: false, error: "Request body must be valid JSON." });
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ success: false, error: "Request body is too large." });
+  }
+  console.error(`Unhandled error in ${req.path}:`, error.message);
+  res.status(500).json({ success: false, error: "An internal server error occurred." });
+});
+
+// Only listen when run directly; the integration tests import the app and listen on a free port.
+if (require.main === module) {
+  startEmailRetryWorker();
+  app.listen(PORT, () => console.log(`Middleware server running on http://localhost:${PORT}`));
+}
+
+module.exports = { app, formatOrderForAI };
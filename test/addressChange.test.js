@@ -0,0 +1,99 @@
+// test/addressChange.test.js
+
+// Address changes are only written to Shopify with auto-apply on, which the other suites leave off.
+process.env.TEST_ENV_OVERRIDES = JSON.stringify({ AUTO_APPLY_ADDRESS_CHANGES: 'true' });
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startTestServer,
+  getCapturedEmails,
+  clearCapturedEmails,
+  getRecordedShopifyRequests,
+  clearRecordedShopifyRequests,
+} = require('./helpers');
+
+const addressChange = {
+  customerName: 'Jordan Rivera',
+  phoneNumber: '555-555-0123',
+  orderNumber: '1003',
+  oldAddressDetails: '200 Congress Ave, Apt 4, Austin, TX 78701',
+  newAddressDetails: '15 Elm Street, Austin, TX 78702',
+};
+
+const getAddressUpdates = () => getRecordedShopifyRequests().filter(request => request.operationName === 'updateOrderShippingAddress');
+
+describe('/requestAddressChange with auto-apply', () => {
+  let server;
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.close());
+  beforeEach(() => {
+    clearCapturedEmails();
+    clearRecordedShopifyRequests();
+  });
+
+  const verify = async (orderNumber) =>
+    (await server.post('/verifyCaller', { orderNumber, zip: '78701' })).body.verificationToken;
+
+  it('sends the change to support instead of applying it for an unverified caller', async () => {
+    const response = await server.post('/requestAddressChange', addressChange);
+    assert.equal(response.body.success, true);
+    assert.equal(response.body.method, 'EMAIL_REQUESTED');
+    assert.equal(response.body.reason, 'CALLER_NOT_VERIFIED');
+    assert.deepEqual(getAddressUpdates(), []);
+    assert.equal(getCapturedEmails().length, 1);
+  });
+
+  it('does not accept an unknown verification token', async () => {
+    const response = await server.post('/requestAddressChange', { ...addressChange, verificationToken: 'not-a-token' });
+    assert.equal(response.body.reason, 'CALLER_NOT_VERIFIED');
+    assert.deepEqual(getAddressUpdates(), []);
+  });
+
+  it('updates the order for a verified caller, keeping the recipient details', async () => {
+    const response = await server.post('/requestAddressChange', { ...addressChange, verificationToken: await verify('1003') });
+    assert.equal(response.body.success, true);
+    assert.equal(response.body.method, 'SHOPIFY_UPDATED');
+    assert.equal(response.body.newAddress, '15 Elm Street, Austin, TX, 78702');
+
+    const [update] = getAddressUpdates();
+    assert.deepEqual(update.variables.input, {
+      id: 'gid://shopify/Order/5003',
+      shippingAddress: {
+        firstName: 'Jordan',
+        lastName: 'Rivera',
+        company: 'Rivera Designs',
+        phone: '+15555550123',
+        address1: '15 Elm Street',
+        address2: null,
+        city: 'Austin',
+        provinceCode: 'TX',
+        zip: '78702',
+        countryCode: 'US',
+      },
+    });
+    assert.equal(getCapturedEmails().length, 0);
+  });
+
+  it('sends an address it cannot parse to support', async () => {
+    const response = await server.post('/requestAddressChange', {
+      ...addressChange,
+      newAddressDetails: 'the blue house past the old mill',
+      verificationToken: await verify('1003'),
+    });
+    assert.equal(response.body.success, true);
+    assert.equal(response.body.method, 'EMAIL_REQUESTED');
+    assert.equal(response.body.reason, 'ADDRESS_NOT_RECOGNIZED');
+    assert.deepEqual(getAddressUpdates(), []);
+    assert.equal(getCapturedEmails().length, 1);
+  });
+
+  it('sends the change to support once the order has shipped', async () => {
+    const response = await server.post('/requestAddressChange', { ...addressChange, orderNumber: '1001', verificationToken: await verify('1001') });
+    assert.equal(response.body.method, 'EMAIL_REQUESTED');
+    assert.equal(response.body.reason, 'ORDER_ALREADY_SHIPPED');
+    assert.deepEqual(getAddressUpdates(), []);
+  });
+});
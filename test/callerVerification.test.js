@@ -0,0 +1,44 @@
+// test/callerVerification.test.js
+
+// Two stores that both have an order #1001 (the fixtures answer for either store).
+process.env.TEST_ENV_OVERRIDES = JSON.stringify({
+  STORES_CONFIG: JSON.stringify([
+    { id: 'patches', email: { senderEmail: 'support@example.com', supportTeamEmail: 'team@example.com' } },
+    { id: 'pins', email: { senderEmail: 'support@example.com', supportTeamEmail: 'team@example.com' } },
+  ]),
+});
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+describe('/verifyCaller across stores', () => {
+  let server;
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.close());
+
+  const verify = (storeId, zip) => server.post('/verifyCaller', { orderNumber: '1001', zip }, { headers: { 'X-Store-Id': storeId } });
+
+  it("locks out an order only in the store where the attempts failed", async () => {
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      assert.equal((await verify('patches', '10001')).body.verified, false);
+    }
+    assert.equal((await verify('patches', '78701')).status, 429);
+
+    const otherStore = await verify('pins', '78701');
+    assert.equal(otherStore.status, 200);
+    assert.equal(otherStore.body.verified, true);
+  });
+
+  it("doesn't accept a token for the same order number in another store", async () => {
+    const { verificationToken } = (await verify('pins', '78701')).body;
+    const sameStore = await server.post('/getOrderById', { orderNumber: '1001', verificationToken }, { headers: { 'X-Store-Id': 'pins' } });
+    assert.equal(sameStore.body.order.customerName, 'Jordan Rivera');
+
+    const otherStore = await server.post('/getOrderById', { orderNumber: '1001', verificationToken }, { headers: { 'X-Store-Id': 'patches' } });
+    assert.equal(otherStore.body.success, true);
+    assert.equal(otherStore.body.order.customerName, undefined);
+  });
+});
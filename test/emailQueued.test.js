@@ -0,0 +1,46 @@
+// test/emailQueued.test.js
+
+// The outbox can't be created under /dev/null, so every send fails and the message is queued for retry.
+process.env.TEST_ENV_OVERRIDES = JSON.stringify({ EMAIL_TRANSPORT: 'file', EMAIL_OUTBOX_DIR: '/dev/null/outbox' });
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer } = require('./helpers');
+
+const caller = { customerName: 'Jordan Rivera', phoneNumber: '555-555-0123' };
+
+const loadEmailQueue = () => JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'email-queue.json'), 'utf8'));
+
+describe('support emails the transport could not send', () => {
+  let server;
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.close());
+
+  it('tells the caller an escalation email is delayed rather than sent', async () => {
+    const response = await server.post('/escalateToSupport', { ...caller, issueSummary: 'The patch colours are wrong.' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.equal(response.body.queued, true);
+    assert.doesNotMatch(response.body.message, /has been sent/);
+    assert.match(response.body.message, /delayed but will be retried automatically/);
+    assert.ok(loadEmailQueue().some(entry => entry.msg.subject.includes(response.body.ticketId)));
+  });
+
+  it('tells the caller an address change email is delayed rather than sent', async () => {
+    const response = await server.post('/requestAddressChange', {
+      ...caller,
+      orderNumber: '1002',
+      oldAddressDetails: '200 Congress Ave, Apt 4, Austin, TX 78701',
+      newAddressDetails: '15 Elm Street, Austin, TX 78702',
+    });
+    assert.equal(response.body.success, true);
+    assert.equal(response.body.method, 'EMAIL_REQUESTED');
+    assert.equal(response.body.queued, true);
+    assert.doesNotMatch(response.body.message, /has been sent/);
+    assert.match(response.body.message, new RegExp(response.body.ticketId));
+  });
+});
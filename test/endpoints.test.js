@@ -0,0 +1,630 @@
+// test/endpoints.test.js
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const {
+  TEST_API_KEY,
+  READ_ONLY_API_KEY,
+  SUPPORT_API_KEY,
+  SIGNING_CLIENT,
+  startTestServer,
+  getCapturedEmails,
+  clearCapturedEmails,
+  getRecordedShopifyRequests,
+  clearRecordedShopifyRequests,
+} = require('./helpers');
+const { getToolDefinition, getOpenAIToolManifest } = require('../utils/toolSchemas');
+
+const KNOWN_PHONE = '555-555-0123';
+const caller = { customerName: 'Jordan Rivera', phoneNumber: KNOWN_PHONE };
+
+describe('API endpoints (mock mode)', () => {
+  let server;
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.close());
+  beforeEach(() => clearCapturedEmails());
+
+  describe('request handling', () => {
+    it('serves /health without credentials', async () => {
+      const response = await server.get('/health', { apiKey: null });
+      assert.equal(response.status, 200);
+    });
+
+    it('reports only the overall status and each dependency without credentials', async () => {
+      const response = await server.get('/ready', { apiKey: null });
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.checks, { configuration: { ok: true }, shopify: { ok: true }, email: { ok: true } });
+      assert.equal(response.body.status, 'ready');
+    });
+
+    it('reports ready when configuration, Shopify and email all check out', async () => {
+      const response = await server.get('/ready');
+      assert.equal(response.status, 200);
+      assert.equal(response.body.status, 'ready');
+      assert.deepEqual(response.body.checks.configuration, { ok: true, problems: [] });
+      assert.deepEqual(response.body.checks.shopify.map(check => [check.storeId, check.ok]), [['default', true]]);
+      assert.equal(response.body.checks.email.transport, 'memory');
+      assert.equal(response.body.checks.email.ok, true);
+    });
+
+    it('reuses a recent readiness result instead of checking again', async () => {
+      const [first, second] = await Promise.all([server.get('/ready', { apiKey: null }), server.get('/ready', { apiKey: null })]);
+      const third = await server.get('/ready', { apiKey: null });
+      assert.equal(second.body.checkedAt, first.body.checkedAt);
+      assert.equal(third.body.checkedAt, first.body.checkedAt);
+    });
+
+    it('exposes request counts, latency and lookup results at /metrics', async () => {
+      await server.post('/getOrderById', { orderNumber: '1001' });
+      await server.post('/getOrderById', { orderNumber: '9999' });
+      await server.post('/getOrderById', { orderNumber: '1001' }, { apiKey: null });
+      await server.post('/callbacks/CB-NONE22/complete', {}, { apiKey: SUPPORT_API_KEY });
+
+      const response = await server.get('/metrics', { apiKey: null });
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-type'), /^text\/plain/);
+      const metrics = response.body;
+      assert.match(metrics, /^# TYPE retro_middleware_http_requests_total counter$/m);
+      assert.match(metrics, /^retro_middleware_http_requests_total\{endpoint="\/getOrderById",status="200"\} [2-9]/m);
+      assert.match(metrics, /^retro_middleware_http_requests_total\{endpoint="\/getOrderById",status="401"\} \d+$/m);
+      assert.match(metrics, /^retro_middleware_http_requests_total\{endpoint="\/callbacks\/:callbackId\/complete",status="404"\} \d+$/m);
+      assert.doesNotMatch(metrics, /CB-NONE22/);
+      assert.match(metrics, /^retro_middleware_http_request_duration_seconds_bucket\{endpoint="\/getOrderById",le="\+Inf"\} \d+$/m);
+      assert.match(metrics, /^retro_middleware_lookups_total\{lookup="order_by_number",result="hit"\} \d+$/m);
+      assert.match(metrics, /^retro_middleware_lookups_total\{lookup="order_by_number",result="miss"\} \d+$/m);
+    });
+
+    it('rejects requests without credentials', async () => {
+      const response = await server.post('/getOrderById', { orderNumber: '1001' }, { apiKey: null });
+      assert.equal(response.status, 401);
+      assert.deepEqual(response.body, { success: false, error: 'Missing API credentials.' });
+    });
+
+    it('rejects an unknown API key', async () => {
+      const response = await server.post('/getOrderById', { orderNumber: '1001' }, { apiKey: 'not-a-key' });
+      assert.equal(response.status, 401);
+      assert.equal(response.body.error, 'Invalid API key.');
+    });
+
+    describe('signed requests', () => {
+      const sign = (method, url, body = '') => {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const signature = crypto.createHmac('sha256', SIGNING_CLIENT.hmacSecret).update(`${timestamp}.${method}.${url}.${body}`).digest('hex');
+        return { 'X-Client-Id': SIGNING_CLIENT.id, 'X-Timestamp': timestamp, 'X-Signature': signature };
+      };
+
+      it('accepts a request signed over its method, path and body', async () => {
+        const body = JSON.stringify({ orderNumber: '1001' });
+        const response = await server.post('/getOrderById', body, { apiKey: null, headers: sign('POST', '/getOrderById', body) });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.success, true);
+      });
+
+      it('rejects a signature replayed against another endpoint', async () => {
+        const headers = sign('GET', '/callbacks?status=ALL');
+        const response = await server.get('/callbacks?status=COMPLETED', { apiKey: null, headers });
+        assert.equal(response.status, 401);
+        assert.equal(response.body.error, 'Invalid request signature.');
+      });
+
+      it('accepts each signature only once', async () => {
+        const headers = sign('GET', '/callbacks');
+        assert.equal((await server.get('/callbacks', { apiKey: null, headers })).status, 200);
+        const replay = await server.get('/callbacks', { apiKey: null, headers });
+        assert.equal(replay.status, 401);
+        assert.equal(replay.body.error, 'Request signature has already been used.');
+      });
+
+      it('rejects a timestamp that is not a number', async () => {
+        const headers = { ...sign('GET', '/callbacks'), 'X-Timestamp': 'soon' };
+        const response = await server.get('/callbacks', { apiKey: null, headers });
+        assert.equal(response.status, 401);
+        assert.equal(response.body.error, 'Request timestamp is missing or too old.');
+      });
+    });
+
+    it('rejects write tools for read-only clients', async () => {
+      const response = await server.post('/escalateToSupport', { ...caller, issueSummary: 'Wrong colour.' }, { apiKey: READ_ONLY_API_KEY });
+      assert.equal(response.status, 403);
+      assert.equal(response.body.success, false);
+      assert.equal(getCapturedEmails().length, 0);
+    });
+
+    it('answers malformed JSON with a JSON 400', async () => {
+      const response = await server.post('/getOrderById', '{"orderNumber":');
+      assert.equal(response.status, 400);
+      assert.deepEqual(response.body, { success: false, error: 'Request body must be valid JSON.' });
+    });
+
+    it('rejects bodies that are not JSON objects', async () => {
+      const response = await server.post('/getOrderById', '[1001]');
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error, 'Request body must be a JSON object.');
+    });
+
+    it('lists every tool at /tools', async () => {
+      const response = await server.get('/tools');
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.tools.map(tool => tool.function.name), getOpenAIToolManifest().map(tool => tool.function.name));
+    });
+
+    it('rejects unsigned Shopify webhooks', async () => {
+      const response = await server.post('/webhooks/shopify', { id: 1 }, { headers: { 'X-Shopify-Topic': 'orders/fulfilled' } });
+      assert.equal(response.status, 401);
+      assert.equal(response.body.error, 'Invalid webhook signature.');
+    });
+  });
+
+  describe('required fields', () => {
+    const toolsWithRequiredFields = getOpenAIToolManifest()
+      .map(tool => tool.function.name)
+      .filter(name => getToolDefinition(name).parameters.required.length > 0 || getToolDefinition(name).requireAnyOf);
+    for (const name of toolsWithRequiredFields) {
+      it(`${name} answers an empty request with its required-fields message`, async () => {
+        const response = await server.post(getToolDefinition(name).path, {});
+        assert.equal(response.status, 400);
+        assert.deepEqual(response.body, { success: false, error: getToolDefinition(name).requiredMessage });
+      });
+    }
+
+    it('rejects values of the wrong type', async () => {
+      const response = await server.post('/getOrdersByPhone', { phone: KNOWN_PHONE, limit: 'lots' });
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error, 'Invalid value for limit: expected integer.');
+    });
+
+    it('rejects values outside an enum', async () => {
+      const response = await server.post('/getOrderById', { orderNumber: '1001', format: 'shouted' });
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error, 'Invalid value for format: expected one of display, spoken.');
+    });
+
+    it('coerces numeric order numbers to strings', async () => {
+      const response = await server.post('/getOrderById', { orderNumber: 1001 });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.order.orderNumber, '#1001');
+    });
+  });
+
+  describe('/getOrderById', () => {
+    it('returns a redacted order to unverified callers', async () => {
+      const response = await server.post('/getOrderById', { orderNumber: 'one zero zero one' });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.success, true);
+      assert.equal(response.body.order.orderNumber, '#1001');
+      assert.equal(response.body.order.customerName, undefined);
+      assert.equal(response.body.order.pricing, undefined);
+    });
+
+    it('says when an order does not exist', async () => {
+      const response = await server.post('/getOrderById', { orderNumber: '9999' });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.success, false);
+      assert.equal(response.body.message, "I couldn't find an order with the number #9999.");
+      assert.deepEqual(response.body.suggestions, []);
+    });
+
+    it('rejects an invalid locale', async () => {
+      const response = await server.post('/getOrderById', { orderNumber: '1001', locale: 'not a locale' });
+      assert.equal(response.status, 400);
+      assert.equal(response.body.success, false);
+    });
+  });
+
+  describe('shipping estimates', () => {
+    it('estimates the unshipped items from the ship-date tag', async () => {
+      const response = await server.post('/getOrderById', { orderNumber: '1002' });
+      const { items, shippingInfo } = response.body.order;
+      assert.equal(items[0].shippingEstimate, null);
+      assert.equal(items[1].shippingEstimate.source, 'TAG');
+      assert.equal(shippingInfo.estimatedShipping.source, 'TAG');
+      assert.equal(shippingInfo.estimatedShipping.delayed, true);
+      assert.match(shippingInfo.statusMessage, /^Running late: expected to ship on June 20, 2025/);
+    });
+
+    it('estimates from processing time when the order has no ship-date tag', async () => {
+      const response = await server.post('/getOrderById', { orderNumber: '1003' });
+      const { items, shippingInfo } = response.body.order;
+      assert.equal(items[0].shippingEstimate.source, 'PROCESSING_TIME');
+      assert.equal(shippingInfo.estimatedShipping.source, 'PROCESSING_TIME');
+      assert.deepEqual(shippingInfo.shipments, []);
+    });
+  });
+
+  describe('/searchProducts', () => {
+    beforeEach(() => clearRecordedShopifyRequests());
+
+    const getSearches = () => getRecordedShopifyRequests().filter(request => request.operationName === 'searchProducts');
+
+    it('answers with prices and stock per option', async () => {
+      const response = await server.post('/searchProducts', { query: 'Red Dragon Patch!' });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.success, true);
+      assert.deepEqual(response.body.products[0].variants.map(variant => [variant.name, variant.price, variant.availability]), [
+        ['Small', '$8.99', 'IN_STOCK'],
+        ['Large', '$12.99', 'LOW_STOCK'],
+      ]);
+      assert.equal(response.body.summary, 'Red Dragon Patch comes in 2 options priced from $8.99 to $12.99; Small is in stock; Large is low in stock.');
+    });
+
+    it('reads out free variants at zero rather than leaving the price out', async () => {
+      const response = await server.post('/searchProducts', { query: 'sticker' });
+      assert.deepEqual(response.body.products.map(product => product.summary), [
+        'Sticker Sampler comes in 2 options priced from $0.00 to $4.50; all of them are in stock.',
+        'Catalog Sticker costs $0.00 and is in stock.',
+      ]);
+      assert.equal(response.body.products[0].variants[0].price, '$0.00');
+    });
+
+    it('searches for operator words instead of applying them', async () => {
+      await server.post('/searchProducts', { query: 'patch OR title:*', sku: 'PATCH-"RED"', productType: 'Embroidered Patches' });
+      assert.equal(getSearches()[0].variables.query, 'status:active AND (patch or title) AND sku:"PATCH-RED" AND product_type:"Embroidered Patches"');
+    });
+
+    it('caps the number of products asked for', async () => {
+      await server.post('/searchProducts', { query: 'patch', limit: 50 });
+      await server.post('/searchProducts', { query: 'patch', limit: 0 });
+      assert.deepEqual(getSearches().map(request => request.variables.first), [5, 3]);
+    });
+
+    it('masks contact details the reply repeats before writing the audit log', async () => {
+      await server.post('/searchProducts', { query: 'call 555-555-0123 or jordan@example.com' }, { headers: { 'X-Request-Id': 'audit-masking' } });
+      let entry;
+      for (let attempt = 0; attempt < 20 && !entry; attempt += 1) {
+        await new Promise(resolve => setTimeout(resolve, 25));
+        const lines = fs.existsSync(process.env.AUDIT_LOG_PATH) ? fs.readFileSync(process.env.AUDIT_LOG_PATH, 'utf8').trim().split('\n') : [];
+        entry = lines.map(line => JSON.parse(line)).find(candidate => candidate.requestId === 'audit-masking');
+      }
+      assert.equal(entry.outcome, 'unsuccessful');
+      assert.equal(entry.detail, "I couldn't find any products matching call ***0123 or j***@example.com.");
+    });
+
+    it('says when nothing matches', async () => {
+      const response = await server.post('/searchProducts', { sku: 'NO-SUCH-SKU' });
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body, { success: false, message: "I couldn't find any products matching NO-SUCH-SKU." });
+    });
+
+    it('rejects a limit that is not a number', async () => {
+      const response = await server.post('/searchProducts', { query: 'patch', limit: 'lots' });
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error, 'Invalid value for limit: expected integer.');
+      assert.deepEqual(getSearches(), []);
+    });
+  });
+
+  describe('/verifyCaller', () => {
+    it('issues a token that unlocks the full order', async () => {
+      const verification = await server.post('/verifyCaller', { orderNumber: '1001', zip: '78701' });
+      assert.equal(verification.body.verified, true);
+
+      const response = await server.post('/getOrderById', { orderNumber: '1001', verificationToken: verification.body.verificationToken });
+      assert.equal(response.body.order.customerName, 'Jordan Rivera');
+      assert.equal(response.body.order.pricing.total, '$43.97');
+    });
+
+    it('does not verify mismatched details', async () => {
+      const response = await server.post('/verifyCaller', { orderNumber: '1001', zip: '10001' });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.verified, false);
+      assert.equal(response.body.verificationToken, undefined);
+    });
+  });
+
+  describe('/getOrderByPhone', () => {
+    it("returns the customer's latest order", async () => {
+      const response = await server.post('/getOrderByPhone', { phone: '(555) 555-0123' });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.order.orderNumber, '#1002');
+    });
+
+    it('ignores an extension after the number', async () => {
+      for (const phone of ['+1 (555) 555-0123 ext 89', '555-555-0123 x89', '555 555 0123 extension eight nine']) {
+        const response = await server.post('/getOrderByPhone', { phone });
+        assert.equal(response.body.order?.orderNumber, '#1002', phone);
+      }
+    });
+
+    it('says when no customer has the number', async () => {
+      const response = await server.post('/getOrderByPhone', { phone: '555-555-0199' });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.success, false);
+    });
+
+    it('rejects a number that cannot be a phone number', async () => {
+      const response = await server.post('/getOrderByPhone', { phone: '12' });
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error, 'Invalid phone number format.');
+    });
+  });
+
+  describe('/getCustomerProfile', () => {
+    it('gives unverified callers only a first name and coarse flags', async () => {
+      const response = await server.post('/getCustomerProfile', { phone: KNOWN_PHONE });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.success, true);
+      assert.deepEqual(response.body.profile, {
+        firstName: 'Jordan',
+        segment: 'RETURNING',
+        hasOpenEscalations: false,
+        prioritySupport: false,
+        redacted: true,
+      });
+    });
+
+    it('gives verified callers the full profile', async () => {
+      const verification = await server.post('/verifyCaller', { orderNumber: '1002', zip: '78701' });
+      const response = await server.post('/getCustomerProfile', { phone: KNOWN_PHONE, verificationToken: verification.body.verificationToken });
+      const { profile } = response.body;
+      assert.equal(profile.redacted, undefined);
+      assert.equal(profile.customerName, 'Jordan Rivera');
+      assert.equal(profile.orderCount, 2);
+      assert.equal(profile.lifetimeSpend, '$98.10');
+      assert.equal(profile.note, 'Prefers email over phone calls.');
+      assert.equal(profile.customerSince, 'March 2, 2024');
+      assert.equal(profile.lastOrderNumber, '#1002');
+      assert.deepEqual(profile.tags, ['newsletter']);
+      assert.deepEqual(profile.marketingConsent, { email: 'SUBSCRIBED', sms: 'NOT_SUBSCRIBED' });
+    });
+
+    it('flags callers with an open escalation for priority support', async () => {
+      const escalation = await server.post('/escalateToSupport', { ...caller, issueSummary: 'Patch colours do not match.' });
+      const unverified = await server.post('/getCustomerProfile', { phone: KNOWN_PHONE });
+      assert.equal(unverified.body.profile.hasOpenEscalations, true);
+      assert.equal(unverified.body.profile.prioritySupport, true);
+      assert.doesNotMatch(JSON.stringify(unverified.body), new RegExp(escalation.body.ticketId));
+
+      const verification = await server.post('/verifyCaller', { orderNumber: '1002', zip: '78701' });
+      const verified = await server.post('/getCustomerProfile', { phone: KNOWN_PHONE, verificationToken: verification.body.verificationToken });
+      assert.ok(verified.body.profile.openEscalations.some(ticket => ticket.ticketId === escalation.body.ticketId));
+    });
+
+    it('asks which account is meant when several share the number', async () => {
+      const response = await server.post('/getCustomerProfile', { phone: '555-555-0188' });
+      assert.equal(response.body.success, false);
+      assert.equal(response.body.requiresCustomerSelection, true);
+      assert.equal(response.body.customers.length, 2);
+
+      const chosen = await server.post('/getCustomerProfile', { phone: '555-555-0188', customerEmail: 'alex.lee@example.com' });
+      assert.equal(chosen.body.success, true);
+      assert.equal(chosen.body.profile.firstName, 'Alex');
+      assert.equal(chosen.body.profile.segment, 'VIP');
+      assert.equal(chosen.body.profile.prioritySupport, true);
+    });
+
+    it('says when no customer has the number', async () => {
+      const response = await server.post('/getCustomerProfile', { phone: '555-555-0199' });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.success, false);
+    });
+  });
+
+  describe('Shopify failures', () => {
+    // Only some operations have fixtures; the rest fail like an unreachable Shopify.
+    it('/getOrdersByPhone answers with a generic 500', async () => {
+      const response = await server.post('/getOrdersByPhone', { phone: KNOWN_PHONE });
+      assert.equal(response.status, 500);
+      assert.deepEqual(response.body, { success: false, error: 'Internal error fetching order history.' });
+    });
+
+    it('/getOrdersByPhone still validates the phone number first', async () => {
+      const response = await server.post('/getOrdersByPhone', { phone: 'call me' });
+      assert.equal(response.status, 400);
+    });
+  });
+
+  describe('/escalateToSupport and /getTicketStatus', () => {
+    it('emails support and can be looked up by reference number', async () => {
+      const response = await server.post('/escalateToSupport', { ...caller, issueSummary: 'The patch colours are wrong.' });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.success, true);
+      const { ticketId } = response.body;
+
+      const [email] = getCapturedEmails();
+      assert.equal(email.to, 'team@example.com');
+      assert.ok(email.subject.startsWith(`[${ticketId}]`));
+      assert.match(email.text, /The patch colours are wrong\./);
+
+      const status = await server.post('/getTicketStatus', { ticketId });
+      assert.equal(status.body.success, true);
+      assert.equal(status.body.tickets[0].ticketId, ticketId);
+      assert.equal(status.body.tickets[0].type, 'ESCALATION');
+    });
+
+    it('finds an escalation by order number however the caller said it', async () => {
+      const escalation = await server.post('/escalateToSupport', { ...caller, orderNumber: 'order one two three four', issueSummary: 'Missing a patch.' });
+      const status = await server.post('/getTicketStatus', { orderNumber: '#1234' });
+      assert.equal(status.body.success, true);
+      assert.deepEqual(status.body.tickets.map(ticket => ticket.ticketId), [escalation.body.ticketId]);
+    });
+
+    it('says when no ticket matches', async () => {
+      const response = await server.post('/getTicketStatus', { ticketId: 'T-NONE22' });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.success, false);
+    });
+  });
+
+  describe('callbacks', () => {
+    it('offers the soonest slots in the caller\'s timezone', async () => {
+      const response = await server.post('/getCallbackSlots', { timeZone: 'America/Toronto', limit: 2 });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.success, true);
+      assert.equal(response.body.slots.length, 2);
+      assert.match(response.body.slots[0].window, /E[DS]T$/);
+      assert.ok(response.body.message.startsWith('The support team can call you back on '));
+    });
+
+    it('books the chosen slot, emails it to support and lists it for the support team', async () => {
+      const { body: { slots: [slot] } } = await server.post('/getCallbackSlots', {});
+      const response = await server.post('/escalateToSupport', {
+        ...caller,
+        issueSummary: 'Wants to talk through a bulk order.',
+        callbackSlot: slot.slotId,
+        timeZone: 'America/Toronto',
+      });
+      assert.equal(response.body.success, true);
+      assert.match(response.body.callback.callbackId, /^CB-/);
+      assert.match(response.body.message, /will call you back on /);
+
+      const [email] = getCapturedEmails();
+      assert.match(email.text, new RegExp(`Callback ID: ${response.body.callback.callbackId}`));
+      assert.match(email.text, /Caller's local time: /);
+
+      const list = await server.get('/callbacks', { apiKey: SUPPORT_API_KEY });
+      assert.equal(list.status, 200);
+      const listed = list.body.callbacks.find(callback => callback.callbackId === response.body.callback.callbackId);
+      assert.equal(listed.ticketId, response.body.ticketId);
+      assert.equal(listed.slotStart, slot.slotId);
+      assert.equal(listed.phoneNumber, '+15555550123');
+      assert.equal(listed.status, 'SCHEDULED');
+    });
+
+    it('offers other times when the chosen slot is not available', async () => {
+      const response = await server.post('/escalateToSupport', { ...caller, issueSummary: 'Call me.', callbackSlot: '2001-01-01T09:00:00Z' });
+      assert.equal(response.body.success, false);
+      assert.equal(response.body.reason, 'CALLBACK_SLOT_UNAVAILABLE');
+      assert.ok(response.body.slots.length > 0);
+      assert.equal(getCapturedEmails().length, 0);
+    });
+
+    it('stops offering a slot once it is full', async () => {
+      const { body: { slots: [slot] } } = await server.post('/getCallbackSlots', {});
+      // The default schedule allows two callbacks per slot; one may already be booked by an earlier test.
+      for (let booked = 0; booked < 2; booked += 1) {
+        await server.post('/escalateToSupport', { ...caller, issueSummary: 'Call me.', callbackSlot: slot.slotId });
+      }
+      const { body: { slots } } = await server.post('/getCallbackSlots', { limit: 10 });
+      assert.ok(!slots.some(candidate => candidate.slotId === slot.slotId));
+    });
+
+    it('lets the support team complete a callback and resolve its ticket', async () => {
+      const { body: { slots: [slot] } } = await server.post('/getCallbackSlots', {});
+      const escalation = await server.post('/escalateToSupport', { ...caller, issueSummary: 'Call me.', callbackSlot: slot.slotId });
+      const { callbackId } = escalation.body.callback;
+
+      const response = await server.post(`/callbacks/${callbackId}/complete`, { note: 'Sorted out on the phone.', resolveTicket: true }, { apiKey: SUPPORT_API_KEY });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.callback.status, 'COMPLETED');
+      assert.equal(response.body.callback.note, 'Sorted out on the phone.');
+
+      const scheduled = await server.get('/callbacks', { apiKey: SUPPORT_API_KEY });
+      assert.ok(!scheduled.body.callbacks.some(callback => callback.callbackId === callbackId));
+      const status = await server.post('/getTicketStatus', { ticketId: escalation.body.ticketId });
+      assert.equal(status.body.tickets[0].status, 'RESOLVED');
+    });
+
+    it('keeps the callback list away from the voice agent', async () => {
+      const response = await server.get('/callbacks', { apiKey: TEST_API_KEY });
+      assert.equal(response.status, 403);
+    });
+
+    it('rejects unknown callbacks and statuses', async () => {
+      const missing = await server.post('/callbacks/CB-NONE22/complete', {}, { apiKey: SUPPORT_API_KEY });
+      assert.equal(missing.status, 404);
+      const badStatus = await server.get('/callbacks?status=LATE', { apiKey: SUPPORT_API_KEY });
+      assert.equal(badStatus.status, 400);
+    });
+  });
+
+  describe('/requestCancellation', () => {
+    it('refuses orders that have already shipped', async () => {
+      const response = await server.post('/requestCancellation', { ...caller, orderNumber: '1001' });
+      assert.equal(response.body.success, false);
+      assert.equal(response.body.reason, 'ALREADY_FULFILLED');
+      assert.equal(getCapturedEmails().length, 0);
+    });
+
+    it('says when the order does not exist', async () => {
+      const response = await server.post('/requestCancellation', { ...caller, orderNumber: '9999' });
+      assert.equal(response.body.success, false);
+      assert.match(response.body.message, /couldn't find an order/);
+    });
+  });
+
+  describe('/requestAddressChange', () => {
+    it('sends the change to support when auto-apply is off', async () => {
+      const response = await server.post('/requestAddressChange', {
+        ...caller,
+        orderNumber: '1002',
+        oldAddressDetails: '200 Congress Ave, Apt 4, Austin, TX 78701',
+        newAddressDetails: '15 Elm Street, Austin, TX 78702',
+      });
+      assert.equal(response.body.success, true);
+      assert.equal(response.body.method, 'EMAIL_REQUESTED');
+      assert.equal(getCapturedEmails().length, 1);
+    });
+  });
+
+  describe('/requestReturn', () => {
+    it('explains why no item can be returned', async () => {
+      const response = await server.post('/requestReturn', { ...caller, orderNumber: '1002' });
+      assert.equal(response.body.success, false);
+      assert.equal(response.body.reason, 'NO_RETURNABLE_ITEMS');
+      assert.deepEqual(response.body.nonReturnableItems.map(item => item.reason), ['WINDOW_EXPIRED', 'CUSTOMIZED_ITEM']);
+    });
+
+    it('rejects an invalid locale', async () => {
+      const response = await server.post('/requestReturn', { ...caller, orderNumber: '1002', locale: 'not a locale' });
+      assert.equal(response.status, 400);
+      assert.equal(response.body.success, false);
+    });
+
+    it('says when the order does not exist', async () => {
+      const response = await server.post('/requestReturn', { ...caller, orderNumber: '9999' });
+      assert.equal(response.body.success, false);
+      assert.match(response.body.message, /couldn't find an order/);
+    });
+  });
+
+  describe('/voice/:platform', () => {
+    it('runs tool calls from a Vapi request', async () => {
+      const response = await server.post('/voice/vapi', {
+        message: { toolCalls: [{ id: 'call-1', function: { name: 'getOrderById', arguments: { orderNumber: '1001' } } }] },
+      });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.results[0].toolCallId, 'call-1');
+      assert.equal(JSON.parse(response.body.results[0].result).order.orderNumber, '#1001');
+    });
+
+    it('reports validation errors per tool call', async () => {
+      const response = await server.post('/voice/vapi', {
+        message: { toolCalls: [{ id: 'call-2', function: { name: 'getOrderById', arguments: {} } }] },
+      });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.results[0].error, getToolDefinition('getOrderById').requiredMessage);
+    });
+
+    it('rejects unknown platforms', async () => {
+      const response = await server.post('/voice/unknown', {});
+      assert.equal(response.status, 404);
+      assert.equal(response.body.error, 'Unsupported voice platform: unknown');
+    });
+
+    for (const platform of ['constructor', 'toString', '__proto__']) {
+      it(`treats /voice/${platform} as an unknown platform`, async () => {
+        const response = await server.post(`/voice/${platform}`, {});
+        assert.equal(response.status, 404);
+        assert.equal(response.body.error, `Unsupported voice platform: ${platform}`);
+      });
+    }
+
+    it('treats Object.prototype member names as unknown tools', async () => {
+      const response = await server.post('/voice/vapi', {
+        message: { toolCalls: [{ id: 'call-3', function: { name: 'toString', arguments: {} } }] },
+      });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.results[0].error, 'Unknown tool: toString');
+    });
+
+    it('rejects requests without tool calls', async () => {
+      const response = await server.post('/voice/vapi', { message: {} });
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error, 'No tool calls found in the request.');
+    });
+  });
+});
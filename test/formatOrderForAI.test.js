@@ -0,0 +1,123 @@
+// test/formatOrderForAI.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatOrderForAI, loadFixtureOrder } = require('./helpers');
+
+describe('formatOrderForAI', () => {
+  it('reports per-item status and an estimate for the unshipped part of a partial fulfillment', () => {
+    const order = formatOrderForAI(loadFixtureOrder('#1002'), null);
+
+    assert.deepEqual(order.items.map(item => item.fulfillmentStatus), ['FULFILLED', 'UNFULFILLED']);
+    assert.equal(order.items[0].shippingEstimate, null);
+    assert.equal(order.items[1].shippingEstimate.source, 'TAG');
+    assert.equal(order.shippingInfo.shipments.length, 1);
+    assert.deepEqual(order.shippingInfo.shipments[0].items, [{ name: 'Iron-On Name Patch', quantity: 2 }]);
+    assert.equal(order.items[1].shippingEstimate.delayed, true);
+    assert.equal(order.shippingInfo.statusMessage, "Running late: expected to ship on June 20, 2025 but hasn't shipped yet.");
+    assert.equal(order.itemsSummary, '2x Iron-On Name Patch and 1 other item(s)');
+  });
+
+  it('says everything has shipped once every item is fulfilled', () => {
+    const order = formatOrderForAI(loadFixtureOrder('#1001'), null);
+
+    assert.equal(order.shippingInfo.statusMessage, 'All items in this order have shipped.');
+    assert.equal(order.shippingInfo.estimatedShipping, null);
+    assert.equal(order.shippingInfo.carrier, 'UPS');
+    assert.match(order.shippingInfo.trackingSummary, /was delivered on May 9, 2025/);
+  });
+
+  it("says when a shipment without carrier events went into transit", () => {
+    const fixture = loadFixtureOrder('#1002');
+    const fulfillments = fixture.fulfillments.map(fulfillment => ({ ...fulfillment, events: { edges: [] } }));
+    const order = formatOrderForAI({ ...fixture, fulfillments }, null);
+
+    assert.equal(order.shippingInfo.shipments[0].inTransitSince, 'June 13, 2025');
+    assert.equal(order.shippingInfo.trackingSummary, 'Shipment 1 (2x Iron-On Name Patch) has been in transit since June 13, 2025 and is expected by June 17, 2025.');
+  });
+
+  it('keeps a future ship date and the delivery window for items that are not late', () => {
+    const shipDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const order = formatOrderForAI({ ...loadFixtureOrder('#1002'), tags: [`w3dd:${shipDate}`] }, null);
+
+    assert.equal(order.items[1].shippingEstimate.delayed, false);
+    assert.match(order.shippingInfo.statusMessage, /^Expected to ship on .+ and arrive between .+\.$/);
+  });
+
+  it('estimates from processing time when nothing has shipped and there is no ship-date tag', () => {
+    const order = formatOrderForAI({ ...loadFixtureOrder('#1002'), tags: [], fulfillments: [] }, null);
+
+    assert.ok(order.items.every(item => item.fulfillmentStatus === 'UNFULFILLED'));
+    assert.equal(order.shippingInfo.estimatedShipping.source, 'PROCESSING_TIME');
+    assert.deepEqual(order.shippingInfo.shipments, []);
+    assert.equal(order.shippingInfo.trackingSummary, null);
+  });
+
+  it('handles an order with zero line items', () => {
+    const order = formatOrderForAI({ ...loadFixtureOrder('#1001'), lineItems: { edges: [] }, fulfillments: [] }, null);
+
+    assert.deepEqual(order.items, []);
+    assert.equal(order.itemsSummary, 'No items found in this order.');
+    assert.equal(order.shippingInfo.isShippable, false);
+    assert.equal(order.shippingInfo.statusMessage, 'This order does not require shipping.');
+  });
+
+  it('handles an order without a lineItems connection or fulfillments', () => {
+    const { lineItems, fulfillments, ...orderNode } = loadFixtureOrder('#1001');
+    const order = formatOrderForAI(orderNode, null);
+
+    assert.deepEqual(order.items, []);
+    assert.deepEqual(order.shippingInfo.shipments, []);
+  });
+
+  it('shows line-item and order discounts, with the subtotal before discounts', () => {
+    const order = formatOrderForAI(loadFixtureOrder('#1001'), null);
+
+    assert.equal(order.items[0].unitPrice, '$10.00');
+    assert.equal(order.items[0].totalPrice, '$36.00');
+    assert.equal(order.items[0].discount, '$4.00');
+    assert.deepEqual(order.pricing, {
+      subtotal: '$40.00',
+      shipping: '$5.00',
+      tax: '$2.97',
+      totalDiscount: '$4.00',
+      total: '$43.97',
+    });
+  });
+
+  it('leaves discounts out when there are none', () => {
+    const order = formatOrderForAI(loadFixtureOrder('#1002'), null);
+
+    assert.equal(order.items[0].discount, null);
+    assert.equal(order.pricing.totalDiscount, null);
+    assert.equal(order.pricing.subtotal, '$44.00');
+  });
+
+  it('falls back to a generic name when the order has no customer', () => {
+    const order = formatOrderForAI({ ...loadFixtureOrder('#1001'), customer: null }, null);
+
+    assert.equal(order.customerName, 'Valued Customer');
+    assert.equal(order.customerEmail, null);
+  });
+
+  it('prefers the customer record over the order customer', () => {
+    const customer = { firstName: 'Sam', lastName: 'Lee', email: 'sam@example.com' };
+    const order = formatOrderForAI({ ...loadFixtureOrder('#1001'), customer: null }, customer);
+
+    assert.equal(order.customerName, 'Sam Lee');
+    assert.equal(order.customerEmail, 'sam@example.com');
+  });
+
+  it('gives cancelled orders no shipping estimate', () => {
+    const order = formatOrderForAI({ ...loadFixtureOrder('#1002'), cancelledAt: '2025-06-11T09:00:00Z' }, null);
+
+    assert.equal(order.items[1].shippingEstimate, null);
+    assert.equal(order.shippingInfo.statusMessage, 'This order has been cancelled.');
+  });
+
+  it('omits the address line for orders without a shipping address', () => {
+    const order = formatOrderForAI({ ...loadFixtureOrder('#1001'), shippingAddress: null }, null);
+
+    assert.equal(order.shippingInfo.address, null);
+  });
+});
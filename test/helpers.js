@@ -0,0 +1,119 @@
+// test/helpers.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+
+/*
+ * Loads the server in mock mode: Shopify answers from fixtures/shopify and emails are captured in
+ * memory. Modules read their configuration when first required, so the environment is set here,
+ * before server.js is loaded, overriding anything in a local .env. Each test file runs in its own
+ * process and gets a fresh data directory. A test file that needs other settings sets
+ * TEST_ENV_OVERRIDES (a JSON object) before requiring this file.
+ */
+
+const TEST_API_KEY = 'test-agent-key';
+const READ_ONLY_API_KEY = 'test-read-only-key';
+const SUPPORT_API_KEY = 'test-support-key';
+const SIGNING_CLIENT = { id: 'test-signed', hmacSecret: 'test-signing-secret' };
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'retro-middleware-test-'));
+
+Object.assign(process.env, {
+  MOCK_MODE: 'true',
+  EMAIL_TRANSPORT: 'memory',
+  STORES_CONFIG: '',
+  STORES_CONFIG_PATH: '',
+  DATA_DIR,
+  AUDIT_LOG_PATH: path.join(DATA_DIR, 'audit.log'),
+  API_CLIENTS: JSON.stringify([
+    { id: 'test-agent', apiKey: TEST_API_KEY, scopes: ['read', 'write'] },
+    { id: 'test-read-only', apiKey: READ_ONLY_API_KEY, scopes: ['read'] },
+    { id: 'test-support', apiKey: SUPPORT_API_KEY, scopes: ['support'] },
+    { ...SIGNING_CLIENT, scopes: ['read', 'support'] },
+  ]),
+  REQUIRE_API_AUTH: 'true',
+  REQUIRE_CALLER_VERIFICATION: 'true',
+  AUTO_APPLY_ADDRESS_CHANGES: 'false',
+  CANCELLATION_MODE: 'email',
+  RETURNS_MODE: 'email',
+  PHONE_RATE_LIMIT_PER_HOUR: '1000',
+  PHONE_WRITE_RATE_LIMIT_PER_HOUR: '1000',
+  SENDER_EMAIL: 'support@example.com',
+  SUPPORT_TEAM_EMAIL: 'team@example.com',
+  DEFAULT_LOCALE: 'en-US',
+  DEFAULT_TIME_ZONE: 'UTC',
+  // Every day is a support day, so there are always callback slots to book.
+  CALLBACK_SCHEDULE: JSON.stringify({ businessDays: [0, 1, 2, 3, 4, 5, 6], openTime: '00:00', closeTime: '23:30', leadTimeMinutes: 0 }),
+}, JSON.parse(process.env.TEST_ENV_OVERRIDES || '{}'));
+
+process.on('exit', () => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+const { app, formatOrderForAI } = require('../server');
+const { getCapturedEmails, clearCapturedEmails } = require('../utils/emailTransport');
+const { getRecordedShopifyRequests, clearRecordedShopifyRequests } = require('../utils/shopifyMock');
+
+/**
+ * Returns a deep copy of a recorded order from the getOrderById fixture.
+ * @param {string} orderName - e.g. "#1001".
+ * @returns {object} The Shopify order node.
+ */
+function loadFixtureOrder(orderName) {
+  const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'shopify', 'getOrderById.json'), 'utf8'));
+  const response = fixture.responses.find(candidate => candidate.data.orders.edges[0].node.name === orderName);
+  return response.data.orders.edges[0].node;
+}
+
+/**
+ * Starts the app on a free port.
+ * @returns {Promise<{post: Function, get: Function, close: Function}>}
+ *   post(path, body, { apiKey, headers }) and get(path, { apiKey }) resolve with { status, headers, body }.
+ */
+async function startTestServer() {
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, requestPath, body, { apiKey = TEST_API_KEY, headers = {} } = {}) => {
+    const response = await fetch(baseUrl + requestPath, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(apiKey ? { 'X-Api-Key': apiKey } : {}),
+        ...headers,
+      },
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body),
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      // Plain-text responses such as /health.
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  };
+
+  return {
+    post: (requestPath, body, options) => request('POST', requestPath, body, options),
+    get: (requestPath, options) => request('GET', requestPath, undefined, options),
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
+
+module.exports = {
+  TEST_API_KEY,
+  READ_ONLY_API_KEY,
+  SUPPORT_API_KEY,
+  SIGNING_CLIENT,
+  formatOrderForAI,
+  getCapturedEmails,
+  clearCapturedEmails,
+  getRecordedShopifyRequests,
+  clearRecordedShopifyRequests,
+  loadFixtureOrder,
+  startTestServer,
+};
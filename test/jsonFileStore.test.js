@@ -0,0 +1,27 @@
+// test/jsonFileStore.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+// Loaded first so DATA_DIR points at this run's temporary directory.
+require('./helpers');
+const { DATA_DIR, createJsonFileStore } = require('../utils/jsonFileStore');
+
+describe('createJsonFileStore', () => {
+  it('rejects when the file cannot be written', async () => {
+    // Only DATA_DIR itself is created, so a file in a missing subdirectory can't be written.
+    const store = createJsonFileStore(path.join('missing', 'records.json'), () => []);
+    await assert.rejects(store.save([{ id: 1 }]), { code: 'ENOENT' });
+  });
+
+  it('keeps writing after a failed save', async () => {
+    const fileName = path.join('later', 'records.json');
+    const store = createJsonFileStore(fileName, () => []);
+    await assert.rejects(store.save([{ id: 1 }]));
+
+    fs.mkdirSync(path.join(DATA_DIR, 'later'));
+    await store.save([{ id: 1 }, { id: 2 }]);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(DATA_DIR, fileName), 'utf8')), [{ id: 1 }, { id: 2 }]);
+  });
+});
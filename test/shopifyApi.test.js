@@ -0,0 +1,130 @@
+// test/shopifyApi.test.js
+
+// Real (not mocked) Shopify calls, with axios stubbed so each test scripts what Shopify answers.
+process.env.TEST_ENV_OVERRIDES = JSON.stringify({
+  MOCK_MODE: 'false',
+  SHOPIFY_MAX_ATTEMPTS: '4',
+  STORES_CONFIG: JSON.stringify([
+    { id: 'patches', shopify: { storeUrl: 'https://patches.myshopify.com/admin/api/2024-10/graphql.json', accessToken: 'test-token' } },
+  ]),
+});
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+require('./helpers');
+const { fetchShopifyData, invalidateShopifyCache } = require('../utils/shopifyApi');
+
+const SHOP_QUERY = 'query shopName { shop { name } }';
+const CANCEL_MUTATION = 'mutation cancelOrder($orderId: ID!) { orderCancel(orderId: $orderId) { job { id } } }';
+
+const ok = (data) => ({ data: { data } });
+const throttled = (cost) => ({
+  data: { errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }], extensions: { cost } },
+});
+const httpError = (status, headers = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers, data: {} } });
+
+describe('fetchShopifyData against Shopify', () => {
+  let delays;
+  // Answers each axios.post in turn from `replies`; the last reply repeats once they run out.
+  const stubShopify = (...replies) => mock.method(axios, 'post', async () => {
+    const reply = replies.length > 1 ? replies.shift() : replies[0];
+    if (reply instanceof Error) throw reply;
+    return reply;
+  });
+
+  beforeEach(() => {
+    invalidateShopifyCache();
+    // Backoff sleeps resolve straight away; the requested delays are kept for assertions.
+    delays = [];
+    const realSetTimeout = setTimeout;
+    mock.method(globalThis, 'setTimeout', (callback, ms) => {
+      delays.push(ms);
+      return realSetTimeout(callback, 0);
+    });
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('retries a throttled query after the time Shopify needs to restore its cost', async () => {
+    const post = stubShopify(
+      throttled({ requestedQueryCost: 100, throttleStatus: { currentlyAvailable: 50, restoreRate: 50 } }),
+      ok({ shop: { name: 'Patches' } }),
+    );
+    assert.deepEqual(await fetchShopifyData(SHOP_QUERY), { shop: { name: 'Patches' } });
+    assert.equal(post.mock.callCount(), 2);
+    assert.deepEqual(delays, [1000]);
+  });
+
+  it('retries a 429 after the Retry-After delay', async () => {
+    const post = stubShopify(httpError(429, { 'retry-after': '2' }), ok({ shop: { name: 'Patches' } }));
+    assert.deepEqual(await fetchShopifyData(SHOP_QUERY), { shop: { name: 'Patches' } });
+    assert.equal(post.mock.callCount(), 2);
+    assert.deepEqual(delays, [2000]);
+  });
+
+  it('retries a query that failed with a 5xx', async () => {
+    const post = stubShopify(httpError(502), httpError(503), ok({ shop: { name: 'Patches' } }));
+    assert.deepEqual(await fetchShopifyData(SHOP_QUERY), { shop: { name: 'Patches' } });
+    assert.equal(post.mock.callCount(), 3);
+    assert.equal(delays.length, 2);
+  });
+
+  it("doesn't retry a mutation that failed with a 5xx", async () => {
+    const post = stubShopify(httpError(502), ok({ orderCancel: { job: { id: 'gid://shopify/Job/1' } } }));
+    await assert.rejects(fetchShopifyData(CANCEL_MUTATION, { orderId: 'gid://shopify/Order/1' }), {
+      message: 'Shopify API responded with status 502',
+    });
+    assert.equal(post.mock.callCount(), 1);
+  });
+
+  it('gives up on a 5xx after SHOPIFY_MAX_ATTEMPTS attempts', async () => {
+    const post = stubShopify(httpError(503));
+    await assert.rejects(fetchShopifyData(SHOP_QUERY), { message: 'Shopify API responded with status 503' });
+    assert.equal(post.mock.callCount(), 4);
+    assert.equal(delays.length, 3);
+  });
+
+  it('gives up on a query that stays throttled and marks the error THROTTLED', async () => {
+    const post = stubShopify(throttled(null));
+    await assert.rejects(fetchShopifyData(SHOP_QUERY), { message: 'Throttled', code: 'THROTTLED' });
+    assert.equal(post.mock.callCount(), 4);
+  });
+
+  it('gives up on repeated 429s and marks the error THROTTLED', async () => {
+    const post = stubShopify(httpError(429));
+    await assert.rejects(fetchShopifyData(SHOP_QUERY), { message: 'Shopify API responded with status 429', code: 'THROTTLED' });
+    assert.equal(post.mock.callCount(), 4);
+  });
+
+  it('answers a repeated query from the cache unless asked to bypass it', async () => {
+    const post = stubShopify(ok({ shop: { name: 'Patches' } }));
+    await fetchShopifyData(SHOP_QUERY);
+    await fetchShopifyData(SHOP_QUERY);
+    assert.equal(post.mock.callCount(), 1);
+
+    await fetchShopifyData(SHOP_QUERY, undefined, { bypassCache: true });
+    assert.equal(post.mock.callCount(), 2);
+  });
+
+  it("doesn't cache a failed query", async () => {
+    const post = stubShopify(httpError(400), ok({ shop: { name: 'Patches' } }));
+    await assert.rejects(fetchShopifyData(SHOP_QUERY), { message: 'Shopify API responded with status 400' });
+    assert.deepEqual(await fetchShopifyData(SHOP_QUERY), { shop: { name: 'Patches' } });
+    assert.equal(post.mock.callCount(), 2);
+  });
+
+  it('drops cached queries after a mutation', async () => {
+    const post = stubShopify(
+      ok({ shop: { name: 'Patches' } }),
+      ok({ orderCancel: { job: { id: 'gid://shopify/Job/1' } } }),
+      ok({ shop: { name: 'Patches' } }),
+    );
+    await fetchShopifyData(SHOP_QUERY);
+    await fetchShopifyData(CANCEL_MUTATION, { orderId: 'gid://shopify/Order/1' });
+    await fetchShopifyData(SHOP_QUERY);
+    assert.equal(post.mock.callCount(), 3);
+  });
+});
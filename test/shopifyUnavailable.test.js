@@ -0,0 +1,31 @@
+// test/shopifyUnavailable.test.js
+
+const os = require('os');
+const path = require('path');
+
+// No fixtures at all, so every Shopify call fails like an unreachable Shopify would.
+process.env.TEST_ENV_OVERRIDES = JSON.stringify({ SHOPIFY_FIXTURES_DIR: path.join(os.tmpdir(), 'retro-middleware-no-fixtures') });
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+describe('when Shopify is unreachable', () => {
+  let server;
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.close());
+
+  it('/searchProducts answers with a generic 500', async () => {
+    const response = await server.post('/searchProducts', { query: 'patch' });
+    assert.equal(response.status, 500);
+    assert.deepEqual(response.body, { success: false, error: 'Internal error searching products.' });
+  });
+
+  it('/getOrderById answers with a generic 500', async () => {
+    const response = await server.post('/getOrderById', { orderNumber: '1001' });
+    assert.equal(response.status, 500);
+    assert.deepEqual(response.body, { success: false, error: 'Internal error fetching order details.' });
+  });
+});
@@ -0,0 +1,94 @@
+// test/webhooks.test.js
+
+const crypto = require('crypto');
+
+// Two stores with webhook secrets; the second has no sender address, so notifying its customers fails.
+// The first store's domain is configured in mixed case, as it might be copied from the Shopify admin.
+const WEBHOOK_SECRET = 'test-webhook-secret';
+process.env.TEST_ENV_OVERRIDES = JSON.stringify({
+  STORES_CONFIG: JSON.stringify([
+    {
+      id: 'patches',
+      shopify: { shopDomain: 'Patches.myshopify.com', webhookSecret: WEBHOOK_SECRET },
+      email: { senderEmail: 'support@example.com', supportTeamEmail: 'team@example.com' },
+    },
+    {
+      id: 'unconfigured',
+      shopify: { shopDomain: 'unconfigured.myshopify.com', webhookSecret: WEBHOOK_SECRET },
+    },
+  ]),
+});
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, getCapturedEmails, clearCapturedEmails } = require('./helpers');
+
+const fulfilledOrder = {
+  name: '#1001',
+  email: 'jordan@example.com',
+  customer: { first_name: 'Jordan' },
+  fulfillments: [{ tracking_company: 'UPS', tracking_number: '1Z999AA10123456784', tracking_url: null }],
+};
+
+const signedWebhookHeaders = (body, { shopDomain = 'patches.myshopify.com', webhookId = crypto.randomUUID() } = {}) => ({
+  'X-Shopify-Shop-Domain': shopDomain,
+  'X-Shopify-Topic': 'orders/fulfilled',
+  'X-Shopify-Webhook-Id': webhookId,
+  'X-Shopify-Hmac-Sha256': crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('base64'),
+});
+
+describe('/webhooks/shopify', () => {
+  let server;
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.close());
+  beforeEach(() => clearCapturedEmails());
+
+  it('notifies the customer once when the same delivery arrives twice at the same time', async () => {
+    const body = JSON.stringify(fulfilledOrder);
+    const headers = signedWebhookHeaders(body);
+    const responses = await Promise.all([
+      server.post('/webhooks/shopify', body, { apiKey: null, headers }),
+      server.post('/webhooks/shopify', body, { apiKey: null, headers }),
+    ]);
+    assert.equal(getCapturedEmails().length, 1);
+    assert.equal(responses.filter(response => response.body.customerNotified === true).length, 1);
+    for (const response of responses.filter(response => response.body.customerNotified !== true)) {
+      assert.ok(response.body.duplicate === true || response.status === 409);
+    }
+  });
+
+  it('matches the shop domain to a store regardless of case', async () => {
+    const body = JSON.stringify(fulfilledOrder);
+    const response = await server.post('/webhooks/shopify', body, { apiKey: null, headers: signedWebhookHeaders(body, { shopDomain: 'PATCHES.myshopify.com' }) });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.customerNotified, true);
+  });
+
+  it('acknowledges a redelivery without notifying the customer again', async () => {
+    const body = JSON.stringify(fulfilledOrder);
+    const headers = signedWebhookHeaders(body);
+    const first = await server.post('/webhooks/shopify', body, { apiKey: null, headers });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.customerNotified, true);
+
+    const redelivery = await server.post('/webhooks/shopify', body, { apiKey: null, headers });
+    assert.equal(redelivery.status, 200);
+    assert.deepEqual(redelivery.body, { success: true, duplicate: true });
+    assert.equal(getCapturedEmails().length, 1);
+  });
+
+  it('answers 500 and leaves the delivery unrecorded when the customer could not be notified', async () => {
+    const body = JSON.stringify(fulfilledOrder);
+    const headers = signedWebhookHeaders(body, { shopDomain: 'unconfigured.myshopify.com' });
+    const first = await server.post('/webhooks/shopify', body, { apiKey: null, headers });
+    assert.equal(first.status, 500);
+    assert.equal(first.body.success, false);
+
+    // Shopify's redelivery is processed again rather than treated as a duplicate.
+    const redelivery = await server.post('/webhooks/shopify', body, { apiKey: null, headers });
+    assert.equal(redelivery.status, 500);
+    assert.notEqual(redelivery.body.duplicate, true);
+  });
+});
@@ -0,0 +1,108 @@
+// utils/addressParser.js
+
+// Two-letter US state and Canadian province codes, plus the spoken names callers usually give.
+const REGION_NAMES = {
+  alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA', colorado: 'CO',
+  connecticut: 'CT', delaware: 'DE', 'district of columbia': 'DC', florida: 'FL', georgia: 'GA',
+  hawaii: 'HI', idaho: 'ID', illinois: 'IL', indiana: 'IN', iowa: 'IA', kansas: 'KS', kentucky: 'KY',
+  louisiana: 'LA', maine: 'ME', maryland: 'MD', massachusetts: 'MA', michigan: 'MI', minnesota: 'MN',
+  mississippi: 'MS', missouri: 'MO', montana: 'MT', nebraska: 'NE', nevada: 'NV', 'new hampshire': 'NH',
+  'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND',
+  ohio: 'OH', oklahoma: 'OK', oregon: 'OR', pennsylvania: 'PA', 'rhode island': 'RI',
+  'south carolina': 'SC', 'south dakota': 'SD', tennessee: 'TN', texas: 'TX', utah: 'UT', vermont: 'VT',
+  virginia: 'VA', washington: 'WA', 'west virginia': 'WV', wisconsin: 'WI', wyoming: 'WY',
+  alberta: 'AB', 'british columbia': 'BC', manitoba: 'MB', 'new brunswick': 'NB',
+  'newfoundland and labrador': 'NL', 'nova scotia': 'NS', ontario: 'ON', 'prince edward island': 'PE',
+  quebec: 'QC', saskatchewan: 'SK',
+};
+
+const CANADIAN_REGIONS = new Set(['AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'ON', 'PE', 'QC', 'SK']);
+const VALID_REGIONS = new Set(Object.values(REGION_NAMES));
+
+const COUNTRY_NAMES = {
+  us: 'US', usa: 'US', 'united states': 'US', 'united states of america': 'US', america: 'US',
+  canada: 'CA',
+};
+
+const US_ZIP_PATTERN = /^\d{5}(?:-\d{4})?$/;
+const CA_POSTAL_PATTERN = /^[A-Za-z]\d[A-Za-z]\s?\d[A-Za-z]\d$/;
+
+const toRegionCode = (value) => {
+  if (!value) return null;
+  const trimmed = value.trim();
+  if (VALID_REGIONS.has(trimmed.toUpperCase())) return trimmed.toUpperCase();
+  return REGION_NAMES[trimmed.toLowerCase()] || null;
+};
+
+/**
+ * Splits a "State ZIP" segment (e.g. "IL 62704" or "Ontario K1A 0B1") into its parts.
+ * @param {string} segment - The trailing segment of a free-text address.
+ * @returns {{provinceCode: string, zip: string}|null}
+ */
+const parseRegionAndPostalCode = (segment) => {
+  const match = segment.trim().match(/^(.*?)[\s,]+([A-Za-z]\d[A-Za-z]\s?\d[A-Za-z]\d|\d{5}(?:-\d{4})?)$/);
+  if (!match) return null;
+  const provinceCode = toRegionCode(match[1]);
+  if (!provinceCode) return null;
+  return { provinceCode, zip: match[2].toUpperCase() };
+};
+
+/**
+ * Parses a free-text address, as dictated by a caller, into the structured shape
+ * expected by Shopify's MailingAddressInput.
+ *
+ * Accepts comma- or newline-separated addresses such as
+ * "123 Main St, Apt 4, Springfield, IL 62704" or "1 Bay St\nToronto, ON M5J 2N8\nCanada".
+ * Only US and Canadian addresses are recognised; anything else returns null so the
+ * caller can fall back to a manual review.
+ *
+ * @param {string} addressText - The new address details provided by the customer.
+ * @returns {{address1: string, address2: (string|null), city: string, provinceCode: string, zip: string, countryCode: string}|null}
+ */
+function parseAddressDetails(addressText) {
+  if (!addressText || typeof addressText !== 'string') return null;
+
+  const segments = addressText
+    .split(/[\n,]+/)
+    .map(segment => segment.trim())
+    .filter(Boolean);
+
+  let countryCode = null;
+  const lastSegment = segments[segments.length - 1]?.toLowerCase().replace(/\./g, '');
+  if (lastSegment && COUNTRY_NAMES[lastSegment]) {
+    countryCode = COUNTRY_NAMES[lastSegment];
+    segments.pop();
+  }
+
+  // The state and postal code may be one segment ("IL 62704") or two ("IL", "62704").
+  let region = segments.length > 0 ? parseRegionAndPostalCode(segments[segments.length - 1]) : null;
+  if (region) {
+    segments.pop();
+  } else if (segments.length >= 2) {
+    const zip = segments[segments.length - 1];
+    const provinceCode = toRegionCode(segments[segments.length - 2]);
+    if (provinceCode && (US_ZIP_PATTERN.test(zip) || CA_POSTAL_PATTERN.test(zip))) {
+      region = { provinceCode, zip: zip.toUpperCase() };
+      segments.splice(-2, 2);
+    }
+  }
+  if (!region) return null;
+
+  // Whatever is left is street line(s) followed by the city.
+  if (segments.length < 2) return null;
+  const city = segments.pop();
+  const [address1, ...rest] = segments;
+
+  return {
+    address1,
+    address2: rest.length > 0 ? rest.join(', ') : null,
+    city,
+    provinceCode: region.provinceCode,
+    zip: region.zip,
+    countryCode: countryCode || (CANADIAN_REGIONS.has(region.provinceCode) ? 'CA' : 'US'),
+  };
+}
+
+module.exports = {
+  parseAddressDetails,
+};
@@ -0,0 +1,155 @@
+// utils/apiAuth.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+/*
+ * API clients are configured with API_CLIENTS (inline JSON) or API_CLIENTS_PATH (path to a JSON file):
+ *
+ * [
+ *   { "id": "vapi-prod", "apiKey": "...", "scopes": ["read", "write"] },
+ *   { "id": "dashboard", "hmacSecret": "...", "scopes": ["read", "support"], "stores": ["patches"], "rateLimitPerMinute": 30 }
+ * ]
+ *
+ * A client authenticates with its API key (Authorization: Bearer <key> or X-Api-Key), or by signing
+ * each request: X-Client-Id, X-Timestamp (Unix seconds) and X-Signature, the hex HMAC-SHA256 of
+ * "<timestamp>.<METHOD>.<path and query>.<raw body>" with its hmacSecret, e.g.
+ * "1767225600.GET./callbacks?status=ALL.". Each signature is accepted once.
+ *
+ * Scopes: "read" for lookups, "write" for anything that emails support or changes an order, and
+ * "support" for the support team's own endpoints (e.g. the callback list), which expose customer details.
+ * "stores" optionally limits a client to some storefronts.
+ *
+ * Authentication is on unless REQUIRE_API_AUTH is "false", which is only meant for local development.
+ *
+ * GET /metrics is scraped by Prometheus rather than called by a client; set METRICS_TOKEN to make
+ * scrapers send it as "Authorization: Bearer <token>".
+ */
+
+const REQUIRE_API_AUTH = process.env.REQUIRE_API_AUTH !== 'false';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const API_SCOPES = ['read', 'write', 'support'];
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+// Signatures already accepted, until their timestamp falls out of the tolerance window.
+const seenSignatures = new Map();
+
+const loadClients = () => {
+  let raw = process.env.API_CLIENTS;
+  if (!raw && process.env.API_CLIENTS_PATH) {
+    raw = fs.readFileSync(process.env.API_CLIENTS_PATH, 'utf8');
+  }
+  if (!raw) return [];
+  const clients = JSON.parse(raw);
+  if (!Array.isArray(clients)) throw new Error("API client configuration must be an array.");
+  for (const client of clients) {
+    if (!client.id || !(client.apiKey || client.hmacSecret)) {
+      throw new Error("Every API client needs an id and an apiKey or hmacSecret.");
+    }
+    if (!Array.isArray(client.scopes) || client.scopes.some(scope => !API_SCOPES.includes(scope))) {
+      throw new Error(`API client "${client.id}" must have scopes from: ${API_SCOPES.join(', ')}.`);
+    }
+  }
+  return clients;
+};
+
+const clients = loadClients();
+
+if (REQUIRE_API_AUTH && clients.length === 0) {
+  console.error("No API clients are configured (API_CLIENTS / API_CLIENTS_PATH); every API request will be rejected.");
+}
+
+// Used when authentication is turned off, so scope checks still have a client to look at.
+const UNAUTHENTICATED_CLIENT = { id: 'unauthenticated', scopes: API_SCOPES, stores: null };
+
+// Compares digests so neither length nor content leaks through timing.
+const safeEqual = (a, b) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(String(a)).digest(),
+  crypto.createHash('sha256').update(String(b)).digest()
+);
+
+const authenticateSignedRequest = (req, signature) => {
+  const client = clients.find(candidate => candidate.id === req.get('X-Client-Id'));
+  const timestamp = req.get('X-Timestamp');
+  if (!client?.hmacSecret || !timestamp) return { client: null, error: "Invalid request signature." };
+  if (!Number.isFinite(Number(timestamp)) || Math.abs(Date.now() / 1000 - Number(timestamp)) > SIGNATURE_TOLERANCE_SECONDS) {
+    return { client: null, error: "Request timestamp is missing or too old." };
+  }
+  const expected = crypto.createHmac('sha256', client.hmacSecret)
+    .update(`${timestamp}.${req.method}.${req.originalUrl}.`)
+    .update(req.rawBody || Buffer.alloc(0))
+    .digest('hex');
+  if (!safeEqual(expected, signature.toLowerCase())) return { client: null, error: "Invalid request signature." };
+
+  const now = Date.now();
+  for (const [key, expiresAt] of seenSignatures) {
+    if (expiresAt <= now) seenSignatures.delete(key);
+  }
+  const replayKey = `${client.id}:${expected}`;
+  if (seenSignatures.has(replayKey)) return { client: null, error: "Request signature has already been used." };
+  seenSignatures.set(replayKey, (Number(timestamp) + SIGNATURE_TOLERANCE_SECONDS) * 1000);
+  return { client, error: null };
+};
+
+/**
+ * Works out which API client sent a request.
+ * @param {import('express').Request} req - The incoming request; req.rawBody is used for signatures.
+ * @returns {{client: (object|null), error: (string|null)}}
+ */
+function authenticateRequest(req) {
+  if (!REQUIRE_API_AUTH) return { client: UNAUTHENTICATED_CLIENT, error: null };
+
+  const signature = req.get('X-Signature');
+  if (signature) return authenticateSignedRequest(req, signature);
+
+  const apiKey = req.get('X-Api-Key') || req.get('Authorization')?.replace(/^Bearer\s+/i, '');
+  if (!apiKey) return { client: null, error: "Missing API credentials." };
+  const client = clients.find(candidate => candidate.apiKey && safeEqual(candidate.apiKey, apiKey));
+  return client ? { client, error: null } : { client: null, error: "Invalid API key." };
+}
+
+/**
+ * Whether a client may call endpoints that need the given scope.
+ * @param {object} client - From authenticateRequest.
+ * @param {string} scope - "read", "write" or "support".
+ * @returns {boolean}
+ */
+function clientHasScope(client, scope) {
+  return Boolean(client?.scopes?.includes(scope));
+}
+
+/**
+ * Whether a client may act for a store.
+ * @param {object} client - From authenticateRequest.
+ * @param {string} storeId - The store the request resolved to.
+ * @returns {boolean}
+ */
+function clientCanAccessStore(client, storeId) {
+  return !Array.isArray(client?.stores) || client.stores.includes(storeId);
+}
+
+/**
+ * Whether API requests can be authenticated at all: auth is off, or at least one client is configured.
+ * @returns {boolean}
+ */
+function isApiAuthConfigured() {
+  return !REQUIRE_API_AUTH || clients.length > 0;
+}
+
+/**
+ * Whether a request may read GET /metrics. Always true unless METRICS_TOKEN is set.
+ * @param {import('express').Request} req - The incoming request.
+ * @returns {boolean}
+ */
+function canReadMetrics(req) {
+  if (!METRICS_TOKEN) return true;
+  const token = req.get('Authorization')?.replace(/^Bearer\s+/i, '');
+  return Boolean(token) && safeEqual(token, METRICS_TOKEN);
+}
+
+module.exports = {
+  authenticateRequest,
+  clientHasScope,
+  clientCanAccessStore,
+  isApiAuthConfigured,
+  canReadMetrics,
+};
@@ -0,0 +1,149 @@
+// utils/auditLog.js
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const AUDIT_LOG_PATH = process.env.AUDIT_LOG_PATH || path.join(__dirname, '..', 'logs', 'audit.log');
+
+// Holds the audit entry for the request currently being handled, so deeper helpers
+// (e.g. fetchShopifyData) can add to it without threading it through every call.
+const auditContext = new AsyncLocalStorage();
+
+let writeQueue = Promise.resolve();
+
+const maskPhone = (value) => {
+  const digits = String(value).replace(/\D/g, '');
+  return digits.length > 4 ? `***${digits.slice(-4)}` : '***';
+};
+
+const maskEmail = (value) => {
+  const [local, domain] = String(value).split('@');
+  return domain ? `${local.charAt(0)}***@${domain}` : '***';
+};
+
+const maskInitial = (value) => `${String(value).charAt(0)}***`;
+
+// Response messages can repeat what the caller said, so emails and anything that looks like a
+// phone number (seven or more digits, however they're separated) are masked before logging.
+const maskDetail = (text) => String(text)
+  .replace(/[^\s@]+@[^\s@]+\.[^\s@]+/g, maskEmail)
+  .replace(/\+?\d[\d\s().-]{5,}\d/g, (match) => (match.replace(/\D/g, '').length >= 7 ? maskPhone(match) : match));
+
+// Request fields worth recording as lookup keys, and how to mask each one.
+const LOOKUP_KEY_MASKS = {
+  phone: maskPhone,
+  phoneNumber: maskPhone,
+  email: maskEmail,
+  customerEmail: maskEmail,
+  zip: maskInitial,
+  lastName: maskInitial,
+  orderNumber: (value) => String(value),
+  ticketId: (value) => String(value),
+  customerId: (value) => String(value),
+};
+
+/**
+ * Picks the lookup keys out of a request body with personal data masked.
+ * @param {object} body - The request body or tool arguments.
+ * @returns {object}
+ */
+function maskLookupKeys(body) {
+  if (!body || typeof body !== 'object' || Buffer.isBuffer(body)) return {};
+  const keys = {};
+  for (const [field, mask] of Object.entries(LOOKUP_KEY_MASKS)) {
+    if (body[field] !== undefined && body[field] !== null && body[field] !== '') keys[field] = mask(body[field]);
+  }
+  return keys;
+}
+
+/**
+ * Starts an audit entry for one endpoint or tool call.
+ * @param {object} details
+ * @param {string} [details.requestId] - Reuses the caller's X-Request-Id when given.
+ * @param {string} [details.callId] - The voice platform's call/session ID.
+ * @param {string} details.endpoint - The endpoint path, e.g. "/getOrderById".
+ * @returns {object} The entry; pass it to runWithAuditEntry and finishAuditEntry.
+ */
+function startAuditEntry({ requestId, callId, endpoint }) {
+  return {
+    requestId: requestId || crypto.randomUUID(),
+    callId: callId || null,
+    endpoint,
+    shopifyQueries: [],
+    startedAt: process.hrtime.bigint(),
+  };
+}
+
+/**
+ * Runs a function with the given audit entry as the current context.
+ * @param {object} entry - From startAuditEntry.
+ * @param {Function} fn - The work to run.
+ * @returns {*} Whatever fn returns.
+ */
+function runWithAuditEntry(entry, fn) {
+  return auditContext.run(entry, fn);
+}
+
+/**
+ * Notes the Shopify operation used by the request currently being handled, if any.
+ * @param {string} graphqlQuery - The GraphQL document being sent.
+ * @returns {void}
+ */
+function recordShopifyQuery(graphqlQuery) {
+  const entry = auditContext.getStore();
+  if (!entry) return;
+  const match = graphqlQuery.match(/\b(query|mutation)\s+(\w+)/);
+  entry.shopifyQueries.push(match ? match[2] : 'anonymous');
+}
+
+/**
+ * Completes an audit entry and appends it to the audit log as one JSON line. Lookup keys and the
+ * error or message recorded for unsuccessful requests are masked.
+ * @param {object} entry - From startAuditEntry.
+ * @param {object} result
+ * @param {number} result.statusCode - The HTTP status sent back.
+ * @param {object} [result.body] - The JSON response body.
+ * @param {object} [result.requestBody] - The request body, for lookup keys.
+ * @param {string} [result.storeId] - The store the request was for.
+ * @param {string} [result.clientId] - The API client that made the request.
+ * @returns {Promise<void>}
+ */
+function finishAuditEntry(entry, { statusCode, body, requestBody, storeId, clientId }) {
+  let outcome = 'success';
+  if (statusCode >= 500) outcome = 'error';
+  else if (statusCode >= 400) outcome = 'rejected';
+  else if (body?.success === false) outcome = 'unsuccessful';
+
+  const line = JSON.stringify({
+    timestamp: new Date().toISOString(),
+    requestId: entry.requestId,
+    callId: entry.callId,
+    endpoint: entry.endpoint,
+    storeId: storeId || null,
+    clientId: clientId || null,
+    lookupKeys: maskLookupKeys(requestBody),
+    shopifyQueries: entry.shopifyQueries,
+    latencyMs: Number((process.hrtime.bigint() - entry.startedAt) / 1000000n),
+    statusCode,
+    outcome,
+    ...(outcome !== 'success' && (body?.error || body?.message) ? { detail: maskDetail(body.error || body.message) } : {}),
+  });
+
+  writeQueue = writeQueue
+    .then(async () => {
+      await fs.mkdir(path.dirname(AUDIT_LOG_PATH), { recursive: true });
+      await fs.appendFile(AUDIT_LOG_PATH, line + '\n');
+    })
+    .catch(error => console.error("Error writing audit log:", error.message));
+  return writeQueue;
+}
+
+module.exports = {
+  maskLookupKeys,
+  startAuditEntry,
+  runWithAuditEntry,
+  recordShopifyQuery,
+  finishAuditEntry,
+};
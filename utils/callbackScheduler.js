@@ -0,0 +1,252 @@
+// utils/callbackScheduler.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { createJsonFileStore } = require('./jsonFileStore');
+
+/*
+ * Callback slots come from the support team's hours, configured with CALLBACK_SCHEDULE (inline JSON)
+ * or CALLBACK_SCHEDULE_PATH (path to a JSON file). A store can override any of them with a
+ * "callbackSchedule" object in its store config:
+ *
+ * {
+ *   "timeZone": "America/New_York",
+ *   "businessDays": [1, 2, 3, 4, 5],
+ *   "openTime": "09:00",
+ *   "closeTime": "17:00",
+ *   "slotMinutes": 30,
+ *   "maxCallbacksPerSlot": 2,
+ *   "leadTimeMinutes": 60,
+ *   "daysAhead": 5,
+ *   "holidays": ["2026-12-25"]
+ * }
+ *
+ * Hours are in the team's timeZone; businessDays uses 0 = Sunday. daysAhead counts business days,
+ * starting today. leadTimeMinutes keeps slots that start too soon for the team to prepare out of the list.
+ */
+
+const DEFAULT_SCHEDULE = {
+  timeZone: 'UTC',
+  businessDays: [1, 2, 3, 4, 5],
+  openTime: '09:00',
+  closeTime: '17:00',
+  slotMinutes: 30,
+  maxCallbacksPerSlot: 2,
+  leadTimeMinutes: 60,
+  daysAhead: 5,
+  holidays: [],
+};
+
+const CALLBACK_STATUSES = ['SCHEDULED', 'COMPLETED'];
+// Same alphabet as ticket IDs, so callback IDs are easy to read out too.
+const CALLBACK_ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const MAX_DAYS_SEARCHED = 60;
+
+const callbackStore = createJsonFileStore('callbacks.json', () => []);
+
+const loadGlobalSchedule = () => {
+  let raw = process.env.CALLBACK_SCHEDULE;
+  if (!raw && process.env.CALLBACK_SCHEDULE_PATH) {
+    raw = fs.readFileSync(process.env.CALLBACK_SCHEDULE_PATH, 'utf8');
+  }
+  return raw ? JSON.parse(raw) : {};
+};
+
+const globalSchedule = loadGlobalSchedule();
+
+/**
+ * Returns the callback schedule for a store: the defaults, then CALLBACK_SCHEDULE, then the store's own.
+ * @param {object} [store] - The store from the store registry.
+ * @returns {object}
+ */
+function getCallbackSchedule(store) {
+  return { ...DEFAULT_SCHEDULE, ...globalSchedule, ...store?.callbackSchedule };
+}
+
+const toLocalDateKey = (date, timeZone) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+
+const nextDay = (dateKey) => new Date(Date.parse(`${dateKey}T00:00:00Z`) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+// How far the zone's wall clock is ahead of UTC at a given moment.
+const getTimeZoneOffsetMs = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The UTC moment when the clocks in a zone show the given date and time. The offset is checked
+// twice so days when daylight saving time starts or ends come out right.
+const zonedTimeToUtc = (dateKey, time, timeZone) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  const firstGuess = wallClock - getTimeZoneOffsetMs(new Date(wallClock), timeZone);
+  return new Date(wallClock - getTimeZoneOffsetMs(new Date(firstGuess), timeZone));
+};
+
+const isBusinessDay = (dateKey, schedule) =>
+  schedule.businessDays.includes(new Date(`${dateKey}T00:00:00Z`).getUTCDay()) && !schedule.holidays.includes(dateKey);
+
+// Every slot in the schedule's window, whether or not it is booked up.
+const generateSlots = (schedule, now = new Date()) => {
+  const earliestStart = now.getTime() + schedule.leadTimeMinutes * 60 * 1000;
+  const slotMs = schedule.slotMinutes * 60 * 1000;
+  const slots = [];
+  let dateKey = toLocalDateKey(now, schedule.timeZone);
+  let businessDaysSeen = 0;
+  for (let searched = 0; businessDaysSeen < schedule.daysAhead && searched < MAX_DAYS_SEARCHED; searched += 1) {
+    if (isBusinessDay(dateKey, schedule)) {
+      businessDaysSeen += 1;
+      const close = zonedTimeToUtc(dateKey, schedule.closeTime, schedule.timeZone).getTime();
+      for (let start = zonedTimeToUtc(dateKey, schedule.openTime, schedule.timeZone).getTime(); start + slotMs <= close; start += slotMs) {
+        if (start >= earliestStart) slots.push({ start: new Date(start).toISOString(), end: new Date(start + slotMs).toISOString() });
+      }
+    }
+    dateKey = nextDay(dateKey);
+  }
+  return slots;
+};
+
+const countBookings = (callbacks, storeId) => {
+  const counts = new Map();
+  for (const callback of callbacks) {
+    if (callback.storeId === storeId && callback.status === 'SCHEDULED') {
+      counts.set(callback.slotStart, (counts.get(callback.slotStart) || 0) + 1);
+    }
+  }
+  return counts;
+};
+
+const toAvailableSlots = (schedule, callbacks, storeId) => {
+  const bookings = countBookings(callbacks, storeId);
+  return generateSlots(schedule)
+    .map(slot => ({ slotId: slot.start, ...slot, remaining: schedule.maxCallbacksPerSlot - (bookings.get(slot.start) || 0) }))
+    .filter(slot => slot.remaining > 0);
+};
+
+/**
+ * Lists the callback slots that still have room, soonest first.
+ * @param {object} store - The store from the store registry.
+ * @param {object} [options]
+ * @param {number} [options.limit] - Return at most this many slots.
+ * @returns {Promise<Array<{slotId: string, start: string, end: string, remaining: number}>>}
+ *   start and end are ISO timestamps; slotId is what bookCallback expects.
+ */
+async function listAvailableSlots(store, { limit } = {}) {
+  const callbacks = await callbackStore.load();
+  const slots = toAvailableSlots(getCallbackSchedule(store), callbacks, store.id);
+  return limit ? slots.slice(0, limit) : slots;
+}
+
+const toSlotStart = (slotId) => {
+  const date = new Date(slotId);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Finds a slot by ID if it still has room.
+ * @param {object} store - The store from the store registry.
+ * @param {string} slotId - From listAvailableSlots.
+ * @returns {Promise<object|null>} The slot, as listAvailableSlots returns it.
+ */
+async function findAvailableSlot(store, slotId) {
+  const slotStart = toSlotStart(slotId);
+  return (await listAvailableSlots(store)).find(slot => slot.start === slotStart) || null;
+}
+
+const generateCallbackId = (existing) => {
+  let id;
+  do {
+    id = 'CB-' + Array.from({ length: 6 }, () => CALLBACK_ID_ALPHABET[crypto.randomInt(CALLBACK_ID_ALPHABET.length)]).join('');
+  } while (existing.some(callback => callback.callbackId === id));
+  return id;
+};
+
+/**
+ * Books a callback in a slot, if the slot exists and still has room.
+ * @param {object} store - The store from the store registry.
+ * @param {object} details
+ * @param {string} details.slotId - From listAvailableSlots.
+ * @param {string} [details.ticketId] - The ticket the callback is about.
+ * @param {string} [details.customerName] - Who to ask for.
+ * @param {string} details.phoneNumber - The number to call.
+ * @param {string} [details.customerTimeZone] - The caller's timezone, so support can mention their local time.
+ * @returns {Promise<{callback: (object|null), error: (string|null)}>} error is "INVALID_SLOT" or "SLOT_FULL".
+ */
+async function bookCallback(store, { slotId, ticketId, customerName, phoneNumber, customerTimeZone }) {
+  const callbacks = await callbackStore.load();
+  const schedule = getCallbackSchedule(store);
+  const slotStart = toSlotStart(slotId);
+  const slot = generateSlots(schedule).find(candidate => candidate.start === slotStart);
+  if (!slot) return { callback: null, error: 'INVALID_SLOT' };
+  if ((countBookings(callbacks, store.id).get(slot.start) || 0) >= schedule.maxCallbacksPerSlot) {
+    return { callback: null, error: 'SLOT_FULL' };
+  }
+
+  const now = new Date().toISOString();
+  const callback = {
+    callbackId: generateCallbackId(callbacks),
+    storeId: store.id,
+    ticketId: ticketId || null,
+    status: 'SCHEDULED',
+    slotStart: slot.start,
+    slotEnd: slot.end,
+    customerName: customerName || null,
+    phoneNumber,
+    customerTimeZone: customerTimeZone || null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  // Pushed onto the loaded array (not a copy) so a booking made at the same time isn't lost.
+  callbacks.push(callback);
+  await callbackStore.save(callbacks);
+  return { callback, error: null };
+}
+
+/**
+ * Lists a store's callbacks, soonest first.
+ * @param {object} criteria
+ * @param {string} criteria.storeId - Only callbacks for this store are returned.
+ * @param {string} [criteria.status] - Only callbacks with this status.
+ * @returns {Promise<object[]>}
+ */
+async function listCallbacks({ storeId, status }) {
+  const callbacks = await callbackStore.load();
+  return callbacks
+    .filter(callback => callback.storeId === storeId)
+    .filter(callback => !status || callback.status === status)
+    .sort((a, b) => a.slotStart.localeCompare(b.slotStart));
+}
+
+/**
+ * Marks a callback as done. Completing it again changes nothing.
+ * @param {string} storeId - The store the callback belongs to.
+ * @param {string} callbackId - e.g. "CB-ABC234".
+ * @param {string} [note] - What happened on the call.
+ * @returns {Promise<object|null>} The updated callback, or null if the store has no such callback.
+ */
+async function completeCallback(storeId, callbackId, note) {
+  const callbacks = await callbackStore.load();
+  const callback = callbacks.find(entry => entry.storeId === storeId && entry.callbackId === String(callbackId).toUpperCase());
+  if (!callback || callback.status === 'COMPLETED') return callback || null;
+  const now = new Date().toISOString();
+  callback.status = 'COMPLETED';
+  callback.completedAt = now;
+  callback.updatedAt = now;
+  if (note) callback.note = note;
+  await callbackStore.save(callbacks);
+  return callback;
+}
+
+module.exports = {
+  CALLBACK_STATUSES,
+  getCallbackSchedule,
+  listAvailableSlots,
+  findAvailableSlot,
+  bookCallback,
+  listCallbacks,
+  completeCallback,
+};
@@ -0,0 +1,142 @@
+// utils/callerVerification.js
+
+const crypto = require('crypto');
+
+const TOKEN_TTL_MS = (parseInt(process.env.VERIFICATION_TOKEN_TTL_MINUTES, 10) || 15) * 60 * 1000;
+const MAX_FAILED_ATTEMPTS = 5;
+const FAILED_ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+
+// In-memory stores; tokens are short-lived, so losing them on restart only means re-verifying.
+const verifiedSessions = new Map();
+const failedAttempts = new Map();
+
+const normalizeEmail = (value) => (value || '').trim().toLowerCase();
+const normalizeZip = (value) => (value || '').replace(/[^a-z0-9]/gi, '').toUpperCase();
+const normalizeName = (value) => (value || '').replace(/[^a-z]/gi, '').toLowerCase();
+const normalizeOrderNumber = (value) => (value || '').replace('#', '').trim();
+// Order numbers are only unique within a store, so lockouts and tokens are scoped to one.
+const orderKey = (storeId, orderNumber) => `${storeId}:${normalizeOrderNumber(orderNumber)}`;
+
+const pruneExpired = () => {
+  const now = Date.now();
+  for (const [token, session] of verifiedSessions) {
+    if (session.expiresAt <= now) verifiedSessions.delete(token);
+  }
+  for (const [key, attempt] of failedAttempts) {
+    if (attempt.firstAttemptAt + FAILED_ATTEMPT_WINDOW_MS <= now) failedAttempts.delete(key);
+  }
+};
+
+/**
+ * Compares what the caller claims against the customer and shipping details on an order.
+ * Every factor the caller supplied must match; at least one factor is required.
+ * @param {object} orderNode - The raw Shopify order node (ORDER_FRAGMENT shape).
+ * @param {object} claims - The values provided by the caller.
+ * @param {string} [claims.email] - The email address on the account.
+ * @param {string} [claims.zip] - The shipping ZIP or postal code.
+ * @param {string} [claims.lastName] - The customer's last name.
+ * @returns {{verified: boolean, matchedFactors: string[]}}
+ */
+function matchCallerClaims(orderNode, { email, zip, lastName }) {
+  const checks = [];
+
+  if (email) {
+    const onFile = normalizeEmail(orderNode.customer?.email);
+    checks.push(['email', !!onFile && onFile === normalizeEmail(email)]);
+  }
+  if (zip) {
+    // Callers often give only the 5-digit part of a ZIP+4, so compare on that prefix.
+    const onFile = normalizeZip(orderNode.shippingAddress?.zip);
+    const claimed = normalizeZip(zip);
+    checks.push(['zip', !!onFile && !!claimed && onFile.slice(0, 5) === claimed.slice(0, 5)]);
+  }
+  if (lastName) {
+    const claimed = normalizeName(lastName);
+    const onFile = [orderNode.customer?.lastName, orderNode.shippingAddress?.lastName]
+      .map(normalizeName)
+      .filter(Boolean);
+    checks.push(['lastName', !!claimed && onFile.includes(claimed)]);
+  }
+
+  const verified = checks.length > 0 && checks.every(([, matched]) => matched);
+  return { verified, matchedFactors: verified ? checks.map(([factor]) => factor) : [] };
+}
+
+/**
+ * Returns true when too many failed verification attempts have been made for an order recently.
+ * @param {string} storeId - The store the order belongs to.
+ * @param {string} orderNumber - The order number being verified.
+ * @returns {boolean}
+ */
+function isVerificationLocked(storeId, orderNumber) {
+  pruneExpired();
+  const attempt = failedAttempts.get(orderKey(storeId, orderNumber));
+  return !!attempt && attempt.count >= MAX_FAILED_ATTEMPTS;
+}
+
+/**
+ * Records a failed verification attempt for an order.
+ * @param {string} storeId - The store the order belongs to.
+ * @param {string} orderNumber - The order number being verified.
+ * @returns {void}
+ */
+function recordFailedVerification(storeId, orderNumber) {
+  const key = orderKey(storeId, orderNumber);
+  const attempt = failedAttempts.get(key) || { count: 0, firstAttemptAt: Date.now() };
+  attempt.count += 1;
+  failedAttempts.set(key, attempt);
+}
+
+/**
+ * Issues a short-lived token proving the caller was verified against an order.
+ * @param {object} session - What the caller was verified for.
+ * @param {string} session.storeId - The store the order belongs to.
+ * @param {string} session.orderNumber - The verified order's name (e.g. "#1042").
+ * @param {string} [session.customerEmail] - The email of the customer who owns the order.
+ * @returns {{token: string, expiresAt: string}}
+ */
+function createVerificationToken({ storeId, orderNumber, customerEmail }) {
+  pruneExpired();
+  failedAttempts.delete(orderKey(storeId, orderNumber));
+  const token = crypto.randomBytes(24).toString('hex');
+  const expiresAt = Date.now() + TOKEN_TTL_MS;
+  verifiedSessions.set(token, {
+    storeId,
+    orderKey: orderKey(storeId, orderNumber),
+    customerEmail: normalizeEmail(customerEmail) || null,
+    expiresAt,
+  });
+  return { token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Checks whether a verification token covers a given order. A token is valid for the order it
+ * was issued against and for any other order belonging to the same customer.
+ * @param {string} token - The verification token sent by the agent.
+ * @param {object} target - The order being requested.
+ * @param {string} target.storeId - The store the order belongs to.
+ * @param {string} [target.orderNumber] - The order's name.
+ * @param {string} [target.customerEmail] - The email of the customer who owns the order.
+ * @returns {boolean}
+ */
+function isCallerVerified(token, { storeId, orderNumber, customerEmail }) {
+  if (!token || typeof token !== 'string') return false;
+  const session = verifiedSessions.get(token);
+  if (!session) return false;
+  if (session.expiresAt <= Date.now()) {
+    verifiedSessions.delete(token);
+    return false;
+  }
+  if (session.storeId !== storeId) return false;
+  if (orderNumber && session.orderKey === orderKey(storeId, orderNumber)) return true;
+  const email = normalizeEmail(customerEmail);
+  return !!email && session.customerEmail === email;
+}
+
+module.exports = {
+  matchCallerClaims,
+  isVerificationLocked,
+  recordFailedVerification,
+  createVerificationToken,
+  isCallerVerified,
+};
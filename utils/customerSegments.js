@@ -0,0 +1,49 @@
+// utils/customerSegments.js
+
+/*
+ * How the agent tells a first-time buyer from a regular or a VIP. The defaults come from
+ * VIP_CUSTOMER_TAGS (comma-separated) and VIP_LIFETIME_SPEND, and a store can override them with a
+ * "loyalty" object in its store config:
+ *
+ * { "vipTags": ["VIP", "Wholesale"], "vipLifetimeSpend": 500 }
+ *
+ * vipLifetimeSpend is in the store's currency; without it, only tags make a customer a VIP.
+ */
+
+const DEFAULT_RULES = {
+  vipTags: process.env.VIP_CUSTOMER_TAGS !== undefined
+    ? process.env.VIP_CUSTOMER_TAGS.split(',').map(tag => tag.trim()).filter(Boolean)
+    : ['VIP'],
+  vipLifetimeSpend: parseFloat(process.env.VIP_LIFETIME_SPEND) || null,
+};
+
+/**
+ * Returns the loyalty rules for a store.
+ * @param {object} [store] - The store from the store registry.
+ * @returns {{vipTags: string[], vipLifetimeSpend: (number|null)}}
+ */
+function getLoyaltyRules(store) {
+  return { ...DEFAULT_RULES, ...store?.loyalty };
+}
+
+/**
+ * Places a customer in a segment. Tags are matched case-insensitively, as Shopify does.
+ * @param {object} customer
+ * @param {string[]} [customer.tags] - The customer's Shopify tags.
+ * @param {number} customer.orderCount - How many orders they have placed.
+ * @param {number} [customer.lifetimeSpend] - Their total spend, in the store's currency.
+ * @param {object} rules - From getLoyaltyRules.
+ * @returns {('VIP'|'RETURNING'|'FIRST_TIME'|'NO_ORDERS')}
+ */
+function getCustomerSegment({ tags = [], orderCount, lifetimeSpend }, rules) {
+  const vipTags = rules.vipTags.map(tag => tag.toLowerCase());
+  if (tags.some(tag => vipTags.includes(tag.toLowerCase()))) return 'VIP';
+  if (rules.vipLifetimeSpend != null && lifetimeSpend >= rules.vipLifetimeSpend) return 'VIP';
+  if (orderCount > 1) return 'RETURNING';
+  return orderCount === 1 ? 'FIRST_TIME' : 'NO_ORDERS';
+}
+
+module.exports = {
+  getLoyaltyRules,
+  getCustomerSegment,
+};
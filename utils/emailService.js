@@ -1,133 +1,216 @@
 // utils/emailService.js
 
-const sgMail = require('@sendgrid/mail');
+const { getDefaultStore } = require('./storeRegistry');
+const { sendEmail } = require('./emailTransport');
+const { renderEmailTemplate } = require('./emailTemplates');
 
-// Set the API key from your environment variables
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+// Support emails for every storefront may land in one shared inbox, so tag them with the store.
+const storeSubjectPrefix = (store) => store.branding.displayName ? `[${store.branding.displayName}] ` : '';
 
-const SENDER_EMAIL = process.env.SENDER_EMAIL;
-const SUPPORT_TEAM_EMAIL = process.env.SUPPORT_TEAM_EMAIL;
+// Customer-facing emails go out under the storefront's own name when one is configured.
+const storeSender = (store) => store.branding.displayName
+  ? { email: store.email.senderEmail, name: store.branding.displayName }
+  : store.email.senderEmail;
+
+// Links are escaped by the template, but only web links should ever become clickable.
+const safeUrl = (url) => /^https?:\/\//i.test(url || '') ? url : null;
 
 /**
- * Sends an escalation email to the support team.
- * @param {object} details - The details for the escalation email.
- * @param {string} details.customerName - The name of the customer.
- * @param {string} details.customerEmail - The email of the customer.
- * @param {string} details.phoneNumber - The phone of the customer.
- * @param {string} [details.orderNumber] - The order number, if available.
- * @param {string} details.issueSummary - A summary of the customer's issue.
- * @returns {Promise<void>}
+ * Renders an email template and sends it, to the store's support team unless `to` is given.
+ * Support team subjects are tagged with the store and ticket so a shared inbox can tell them apart.
+ * @param {object} details
+ * @param {object} details.store - The store the email is for.
+ * @param {string} details.template - The template name, e.g. "escalation".
+ * @param {object} details.context - The values the template fills in.
+ * @param {string} details.logLabel - What the email is, for error messages, e.g. "escalation email".
+ * @param {string} [details.ticketId] - The support ticket the email is about.
+ * @param {(string|object)} [details.to] - The recipient; defaults to the support team.
+ * @param {(string|object)} [details.from] - The sender; defaults to the store's sender address.
+ * @param {object[]} [details.attachments] - Attachments in SendGrid's shape.
+ * @returns {Promise<{queued: boolean}>} Whether the email was queued for retry rather than sent.
  */
-async function sendEscalationEmail({ customerName, customerEmail, orderNumber, phoneNumber, issueSummary }) {
-  if (!SENDER_EMAIL || !SUPPORT_TEAM_EMAIL) {
-    console.error("Sender or Support Team email is not configured in environment variables.");
+async function sendSupportEmail({ store, template, context, logLabel, ticketId, to, from = store.email.senderEmail, attachments }) {
+  const toSupportTeam = !to;
+  const recipient = to || store.email.supportTeamEmail;
+  if (!store.email.senderEmail || !recipient) {
+    console.error(`${store.email.senderEmail ? 'Support team' : 'Sender'} email is not configured for store "${store.id}".`);
     throw new Error("Email service is not configured.");
   }
 
-  const subject = `Phone Escalation: ${customerName}${orderNumber ? ` - Order ${orderNumber}` : ''}`;
-  
-  const htmlBody = `
-    <h2>Support Escalation Request</h2>
-    <p>An AI agent has escalated a customer conversation that requires human attention.</p>
-    <hr>
-    <h3>Customer Details:</h3>
-    <ul>
-      <li><strong>Name:</strong> ${customerName || 'Not Provided'}</li>
-      <li><strong>Email:</strong> ${customerEmail || 'Not Provided'}</li>
-      <li><strong>Phone Number:</strong> ${phoneNumber || 'Not Provided'}</li>
-      <li><strong>Order Number:</strong> ${orderNumber || 'Not Provided'}</li>
-    </ul>
-    <h3>Issue Summary:</h3>
-    <p><em>This summary was generated by the AI based on the conversation:</em></p>
-    <blockquote style="border-left: 4px solid #ccc; padding-left: 16px; margin: 0;">
-      <p>${issueSummary}</p>
-    </blockquote>
-    <hr>
-    <p>Please follow up with the customer via their email address to resolve this issue.</p>
-  `;
-
+  const { subject, html, text } = await renderEmailTemplate(template, context, { locale: store.email.locale });
   const msg = {
-    to: SUPPORT_TEAM_EMAIL,
-    from: SENDER_EMAIL,
-    subject: subject,
-    html: htmlBody,
+    to: recipient,
+    from,
+    subject: toSupportTeam ? `${storeSubjectPrefix(store)}${ticketId ? `[${ticketId}] ` : ''}${subject}` : subject,
+    html,
+    text,
+    ...(attachments ? { attachments } : {}),
   };
 
   try {
-    await sgMail.send(msg);
-    console.log(`Escalation email sent successfully for customer: ${customerName}`);
+    return await sendEmail(msg);
   } catch (error) {
-    console.error("Error sending email via SendGrid:", error);
-    if (error.response) {
-      console.error(error.response.body);
-    }
-    throw new Error("Failed to send escalation email.");
+    console.error(`Error sending ${logLabel}:`, error.message);
+    throw new Error(`Failed to send ${logLabel}.`);
   }
 }
 
+/**
+ * Sends an escalation email to the support team.
+ * @param {object} details - The details for the escalation email.
+ * @param {string} details.customerName - The name of the customer.
+ * @param {string} details.customerEmail - The email of the customer.
+ * @param {string} details.phoneNumber - The phone of the customer.
+ * @param {string} [details.orderNumber] - The order number, if available.
+ * @param {string} details.issueSummary - A summary of the customer's issue.
+ * @param {string} [details.transcript] - The full call transcript, sent as a text attachment.
+ * @param {string} [details.recordingUrl] - A link to the call recording.
+ * @param {string} [details.ticketId] - The support ticket tracking this escalation.
+ * @param {object} [details.callback] - The booked callback, with its window already formatted for support.
+ * @param {object} [details.store] - The store the request is for; defaults to the default store.
+ * @returns {Promise<{queued: boolean}>} Whether the email was queued for retry rather than sent.
+ */
+async function sendEscalationEmail({ customerName, customerEmail, orderNumber, phoneNumber, issueSummary, transcript, recordingUrl, ticketId, callback, store = getDefaultStore() }) {
+  return sendSupportEmail({
+    store,
+    template: 'escalation',
+    logLabel: 'escalation email',
+    ticketId,
+    context: {
+      customerName, customerEmail, phoneNumber, orderNumber, issueSummary, ticketId,
+      callbackId: callback?.callbackId,
+      callbackWindow: callback?.window,
+      callbackCustomerWindow: callback?.customerWindow,
+      hasTranscript: Boolean(transcript),
+      recordingUrl: safeUrl(recordingUrl),
+      hasCallRecord: Boolean(transcript || safeUrl(recordingUrl)),
+    },
+    attachments: transcript ? [{
+      content: Buffer.from(transcript).toString('base64'),
+      filename: `transcript${ticketId ? `-${ticketId}` : ''}.txt`,
+      type: 'text/plain',
+      disposition: 'attachment',
+    }] : undefined,
+  });
+}
+
+// Template for each proactive notification type.
+const CUSTOMER_NOTIFICATION_TEMPLATES = {
+  ORDER_FULFILLED: 'order-fulfilled',
+  SHIPMENT_UPDATE: 'shipment-update',
+  ORDER_CANCELLED: 'order-cancelled',
+};
+
+/**
+ * Sends a proactive order update email to a customer (shipping, tracking or cancellation).
+ * @param {object} details - The details for the notification email.
+ * @param {string} details.customerEmail - The email of the customer.
+ * @param {string} [details.customerName] - The name of the customer.
+ * @param {string} details.orderNumber - The order the update is about.
+ * @param {('ORDER_FULFILLED'|'SHIPMENT_UPDATE'|'ORDER_CANCELLED')} details.notificationType - Which update to send.
+ * @param {string} [details.statusText] - A short description of the current shipment status.
+ * @param {string} [details.carrier] - The shipping carrier.
+ * @param {string} [details.trackingNumber] - The tracking number.
+ * @param {string} [details.trackingUrl] - A link to the carrier's tracking page.
+ * @param {object} [details.store] - The store the order belongs to; defaults to the default store.
+ * @returns {Promise<{queued: boolean}>} Whether the email was queued for retry rather than sent.
+ */
+async function sendCustomerNotificationEmail({ customerEmail, customerName, orderNumber, notificationType, statusText, carrier, trackingNumber, trackingUrl, store = getDefaultStore() }) {
+  const templateName = CUSTOMER_NOTIFICATION_TEMPLATES[notificationType];
+  if (!templateName) throw new Error(`Unknown customer notification type: ${notificationType}`);
+  return sendSupportEmail({
+    store,
+    template: templateName,
+    logLabel: 'customer notification email',
+    to: customerEmail,
+    from: storeSender(store),
+    context: {
+      customerName, orderNumber, statusText, carrier, trackingNumber,
+      trackingUrl: safeUrl(trackingUrl),
+      supportPhone: store.branding.supportPhone,
+      storeName: store.branding.displayName,
+    },
+  });
+}
+
 /**
  * Sends an address change request email to the support team.
  * @param {object} details - The details for the address change request email.
  * // --- MODIFIED: Added oldAddressDetails parameter ---
  * @param {string} details.oldAddressDetails - The old shipping address on file.
  * @param {string} details.newAddressDetails - The new address provided by the customer.
- * @returns {Promise<void>}
+ * @param {string} [details.ticketId] - The support ticket tracking this request.
+ * @param {object} [details.store] - The store the request is for; defaults to the default store.
+ * @returns {Promise<{queued: boolean}>} Whether the email was queued for retry rather than sent.
  */
 // --- MODIFIED: Added oldAddressDetails to the function signature ---
-async function sendAddressChangeRequestEmail({ customerName, customerEmail, phoneNumber, orderNumber, oldAddressDetails, newAddressDetails }) {
-  if (!SENDER_EMAIL || !SUPPORT_TEAM_EMAIL) {
-    console.error("Sender or Support Team email is not configured in environment variables.");
-    throw new Error("Email service is not configured.");
-  }
-
-  const subject = `Urgent: Address Change Request for Order ${orderNumber}`;
-  
-  const htmlBody = `
-    <h2>Customer Address Change Request</h2>
-    <p>A customer has requested an address change for an existing order via the AI phone agent. Please review and take action immediately.</p>
-    <hr>
-    <h3>Order & Customer Details:</h3>
-    <ul>
-      <li><strong>Order Number:</strong> ${orderNumber}</li>
-      <li><strong>Customer Name:</strong> ${customerName || 'Not Provided'}</li>
-      <li><strong>Customer Email:</strong> ${customerEmail || 'Not Provided'}</li>
-      <li><strong>Customer Phone:</strong> ${phoneNumber || 'Not Provided'}</li>
-    </ul>
-
-    <h3>Previous Shipping Address on File:</h3>
-    <blockquote style="border-left: 4px solid #f0ad4e; padding-left: 16px; margin: 0; color: #555;">
-      <p>${oldAddressDetails ? oldAddressDetails.replace(/\n/g, '<br>') : 'Not available'}</p>
-    </blockquote>
-
-    <h3>New Shipping Address Requested:</h3>
-    <blockquote style="border-left: 4px solid #5cb85c; padding-left: 16px; margin: 0;">
-      <p>${newAddressDetails.replace(/\n/g, '<br>')}</p>
-    </blockquote>
-    <hr>
-    <p><strong>Action Required:</strong> Please manually update the shipping address for this order in Shopify and confirm with the customer.</p>
-  `;
-
-  const msg = {
-    to: SUPPORT_TEAM_EMAIL,
-    from: SENDER_EMAIL,
-    subject: subject,
-    html: htmlBody,
-  };
+async function sendAddressChangeRequestEmail({ customerName, customerEmail, phoneNumber, orderNumber, oldAddressDetails, newAddressDetails, ticketId, store = getDefaultStore() }) {
+  return sendSupportEmail({
+    store,
+    template: 'address-change-request',
+    logLabel: 'address change request email',
+    ticketId,
+    context: { customerName, customerEmail, phoneNumber, orderNumber, oldAddressDetails, newAddressDetails, ticketId },
+  });
+}
 
-  try {
-    await sgMail.send(msg);
-    console.log(`Address change request email sent for order: ${orderNumber}`);
-  } catch (error) {
-    console.error("Error sending address change email via SendGrid:", error);
-    if (error.response) {
-      console.error(error.response.body);
-    }
-    throw new Error("Failed to send address change request email.");
-  }
+/**
+ * Sends an order cancellation request email to the support team.
+ * @param {object} details - The details for the cancellation request email.
+ * @param {string} details.orderNumber - The order to cancel.
+ * @param {string} details.customerName - The name of the customer.
+ * @param {string} [details.customerEmail] - The email of the customer.
+ * @param {string} details.phoneNumber - The phone of the customer.
+ * @param {string} [details.cancellationReason] - Why the customer wants to cancel.
+ * @param {string} details.eligibilityNote - The middleware's eligibility assessment for the order.
+ * @param {string} [details.ticketId] - The support ticket tracking this request.
+ * @param {object} [details.store] - The store the request is for; defaults to the default store.
+ * @returns {Promise<{queued: boolean}>} Whether the email was queued for retry rather than sent.
+ */
+async function sendCancellationRequestEmail({ orderNumber, customerName, customerEmail, phoneNumber, cancellationReason, eligibilityNote, ticketId, store = getDefaultStore() }) {
+  return sendSupportEmail({
+    store,
+    template: 'cancellation-request',
+    logLabel: 'cancellation request email',
+    ticketId,
+    context: { customerName, customerEmail, phoneNumber, orderNumber, cancellationReason, eligibilityNote, ticketId },
+  });
 }
 
+/**
+ * Sends a return or exchange request email to the support team.
+ * @param {object} details - The details for the return request email.
+ * @param {string} details.orderNumber - The order the items came from.
+ * @param {string} details.customerName - The name of the customer.
+ * @param {string} [details.customerEmail] - The email of the customer.
+ * @param {string} details.phoneNumber - The phone of the customer.
+ * @param {('RETURN'|'EXCHANGE')} details.requestType - Whether the customer wants a refund or an exchange.
+ * @param {Array<{name: string, variant: string, quantity: number}>} details.items - The items being returned.
+ * @param {string} [details.reasonCode] - The closest standard return reason.
+ * @param {string} [details.returnReason] - The customer's reason in their own words.
+ * @param {string} [details.exchangeDetails] - For exchanges, what the customer wants instead.
+ * @param {string} [details.ticketId] - The support ticket tracking this request.
+ * @param {object} [details.store] - The store the request is for; defaults to the default store.
+ * @returns {Promise<{queued: boolean}>} Whether the email was queued for retry rather than sent.
+ */
+async function sendReturnRequestEmail({ orderNumber, customerName, customerEmail, phoneNumber, requestType, items, reasonCode, returnReason, exchangeDetails, ticketId, store = getDefaultStore() }) {
+  return sendSupportEmail({
+    store,
+    template: 'return-request',
+    logLabel: 'return request email',
+    ticketId,
+    context: {
+      customerName, customerEmail, phoneNumber, orderNumber, reasonCode, returnReason, exchangeDetails, ticketId,
+      isExchange: requestType === 'EXCHANGE',
+      itemsText: items.map(item => `${item.quantity}x ${item.name}${item.variant && item.variant !== 'Default' ? ` (${item.variant})` : ''}`).join('\n'),
+    },
+  });
+}
 
 module.exports = {
   sendEscalationEmail,
+  sendCustomerNotificationEmail,
   sendAddressChangeRequestEmail, 
+  sendCancellationRequestEmail,
+  sendReturnRequestEmail,
 };
\ No newline at end of file
@@ -0,0 +1,127 @@
+// utils/emailTemplates.js
+
+const fs = require('fs/promises');
+const path = require('path');
+
+/*
+ * Emails are rendered from files in templates/email/<locale>/:
+ *   <name>.subject.txt, <name>.html and <name>.txt (the plain-text part).
+ *
+ * A deployment can override any of them by putting a file with the same path under
+ * EMAIL_TEMPLATES_DIR. Locales fall back from most to least specific ("pt-BR" -> "pt" -> "en"),
+ * checking the override directory before the built-in one at each step.
+ *
+ * Template syntax (a small Mustache subset):
+ *   {{name}}                    the value; HTML-escaped in .html templates, newlines become <br>
+ *   {{#name}}...{{/name}}       rendered only when the value is truthy
+ *   {{^name}}...{{/name}}       rendered only when the value is falsy
+ *   {{> partial}}               includes <partial>.html or <partial>.txt from the same locale
+ */
+
+const BUILT_IN_TEMPLATES_DIR = path.join(__dirname, '..', 'templates', 'email');
+const OVERRIDE_TEMPLATES_DIR = process.env.EMAIL_TEMPLATES_DIR || null;
+const FALLBACK_LOCALE = 'en';
+const MAX_PARTIAL_DEPTH = 5;
+
+const SECTION_PATTERN = /\{\{([#^])\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+const PARTIAL_PATTERN = /\{\{>\s*([\w-]+)\s*\}\}/g;
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (value) => String(value)
+  .replace(/[&<>"']/g, character => HTML_ESCAPES[character])
+  .replace(/\r?\n/g, '<br>');
+
+const templateCache = new Map();
+
+const getLocaleChain = (locale) => {
+  const chain = [];
+  if (locale) {
+    chain.push(locale);
+    const language = locale.split(/[-_]/)[0];
+    if (language !== locale) chain.push(language);
+  }
+  if (!chain.includes(FALLBACK_LOCALE)) chain.push(FALLBACK_LOCALE);
+  return chain;
+};
+
+const readTemplateFile = async (fileName, locale) => {
+  const cacheKey = `${locale || ''}/${fileName}`;
+  if (templateCache.has(cacheKey)) return templateCache.get(cacheKey);
+
+  const directories = [OVERRIDE_TEMPLATES_DIR, BUILT_IN_TEMPLATES_DIR].filter(Boolean);
+  for (const candidateLocale of getLocaleChain(locale)) {
+    for (const directory of directories) {
+      try {
+        const contents = await fs.readFile(path.join(directory, candidateLocale, fileName), 'utf8');
+        templateCache.set(cacheKey, contents);
+        return contents;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  }
+  throw new Error(`Email template "${fileName}" was not found for locale "${locale || FALLBACK_LOCALE}".`);
+};
+
+const expandPartials = async (template, extension, locale, depth = 0) => {
+  const names = [...new Set([...template.matchAll(PARTIAL_PATTERN)].map(match => match[1]))];
+  if (names.length === 0) return template;
+  if (depth >= MAX_PARTIAL_DEPTH) throw new Error("Email template partials are nested too deeply.");
+
+  const partials = {};
+  for (const name of names) {
+    partials[name] = await expandPartials(await readTemplateFile(`${name}${extension}`, locale), extension, locale, depth + 1);
+  }
+  return template.replace(PARTIAL_PATTERN, (match, name) => partials[name].trimEnd());
+};
+
+const isTruthy = (value) => Array.isArray(value) ? value.length > 0 : Boolean(value);
+
+const renderVariables = (template, variables, escape) => template.replace(VARIABLE_PATTERN, (match, name) => {
+  const value = variables[name];
+  return value === undefined || value === null ? '' : escape(value);
+});
+
+// Sections and the text between them are rendered separately so a value that happens to contain
+// "{{...}}" is never expanded again.
+const renderTemplate = (template, variables, escape) => {
+  let output = '';
+  let lastIndex = 0;
+  for (const match of template.matchAll(SECTION_PATTERN)) {
+    const [fullMatch, type, name, body] = match;
+    output += renderVariables(template.slice(lastIndex, match.index), variables, escape);
+    if ((type === '#') === isTruthy(variables[name])) output += renderTemplate(body, variables, escape);
+    lastIndex = match.index + fullMatch.length;
+  }
+  return output + renderVariables(template.slice(lastIndex), variables, escape);
+};
+
+/**
+ * Renders an email from its subject, HTML and plain-text templates.
+ * @param {string} templateName - e.g. "escalation".
+ * @param {object} variables - Values for the template. Every value is escaped in the HTML part.
+ * @param {object} [options]
+ * @param {string} [options.locale] - e.g. "de" or "pt-BR"; falls back to English.
+ * @returns {Promise<{subject: string, html: string, text: string}>}
+ */
+async function renderEmailTemplate(templateName, variables, { locale } = {}) {
+  const [subject, html, text] = await Promise.all([
+    readTemplateFile(`${templateName}.subject.txt`, locale),
+    readTemplateFile(`${templateName}.html`, locale).then(template => expandPartials(template, '.html', locale)),
+    readTemplateFile(`${templateName}.txt`, locale).then(template => expandPartials(template, '.txt', locale)),
+  ]);
+
+  return {
+    // Subjects are a single header line, so caller-provided newlines must not survive.
+    subject: renderTemplate(subject, variables, String).replace(/\s+/g, ' ').trim(),
+    html: renderTemplate(html, variables, escapeHtml),
+    text: renderTemplate(text, variables, String).replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim() + '\n',
+  };
+}
+
+module.exports = {
+  escapeHtml,
+  renderEmailTemplate,
+};
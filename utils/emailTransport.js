@@ -0,0 +1,277 @@
+// utils/emailTransport.js
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { DATA_DIR, createJsonFileStore } = require('./jsonFileStore');
+const { recordEmailSendFailure } = require('./metrics');
+
+/*
+ * Messages are built in SendGrid's shape ({ to, from, subject, html, attachments }) and handed to
+ * whichever backend EMAIL_TRANSPORT selects:
+ *   - "sendgrid" (default): SendGrid's API, using SENDGRID_API_KEY.
+ *   - "smtp": any SMTP server via SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS/SMTP_SECURE (e.g. MailHog on port 1025).
+ *   - "file": writes each message as JSON into EMAIL_OUTBOX_DIR, for development and tests.
+ *   - "memory": keeps messages in memory for getCapturedEmails(); the default when MOCK_MODE=true.
+ * If the transport fails, the message is queued on disk and retried in the background instead of
+ * failing the request. Each transport also has a check() for the readiness endpoint that confirms
+ * it could send right now without sending anything.
+ */
+
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || (process.env.MOCK_MODE === 'true' ? 'memory' : 'sendgrid');
+const OUTBOX_DIR = process.env.EMAIL_OUTBOX_DIR || path.join(DATA_DIR, 'outbox');
+const RETRY_INTERVAL_MS = (parseInt(process.env.EMAIL_RETRY_INTERVAL_SECONDS, 10) || 60) * 1000;
+const MAX_SEND_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 10;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const CHECK_TIMEOUT_MS = 5000;
+
+const queueStore = createJsonFileStore('email-queue.json', () => []);
+
+const createSendGridTransport = () => {
+  const sgMail = require('@sendgrid/mail');
+  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+  return {
+    name: 'sendgrid',
+    send: async (msg) => {
+      try {
+        await sgMail.send(msg);
+      } catch (error) {
+        if (error.response) console.error("SendGrid response:", error.response.body);
+        throw error;
+      }
+    },
+    // A key that is missing, revoked or lacks the send permission is the usual reason SendGrid rejects mail.
+    check: async () => {
+      if (!process.env.SENDGRID_API_KEY) throw new Error("SENDGRID_API_KEY is not set.");
+      let response;
+      try {
+        response = await axios.get('https://api.sendgrid.com/v3/scopes', {
+          headers: { Authorization: `Bearer ${process.env.SENDGRID_API_KEY}` },
+          timeout: CHECK_TIMEOUT_MS,
+        });
+      } catch (error) {
+        throw new Error(error.response ? `SendGrid responded with status ${error.response.status}` : `Could not reach SendGrid: ${error.message}`);
+      }
+      if (!response.data?.scopes?.includes('mail.send')) throw new Error("The SendGrid API key is not allowed to send mail.");
+    },
+  };
+};
+
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+  const toAddress = (value) => typeof value === 'object' && value !== null
+    ? { name: value.name, address: value.email }
+    : value;
+  return {
+    name: 'smtp',
+    send: (msg) => transporter.sendMail({
+      to: toAddress(msg.to),
+      from: toAddress(msg.from),
+      subject: msg.subject,
+      text: msg.text,
+      html: msg.html,
+      attachments: msg.attachments?.map(attachment => ({
+        filename: attachment.filename,
+        content: attachment.content,
+        encoding: 'base64',
+        contentType: attachment.type,
+      })),
+    }),
+    check: () => transporter.verify(),
+  };
+};
+
+const createFileTransport = () => ({
+  name: 'file',
+  send: async (msg) => {
+    await fs.mkdir(OUTBOX_DIR, { recursive: true });
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.writeFile(path.join(OUTBOX_DIR, fileName), JSON.stringify(msg, null, 2));
+  },
+  check: async () => {
+    await fs.mkdir(OUTBOX_DIR, { recursive: true });
+    await fs.access(OUTBOX_DIR, fs.constants.W_OK);
+  },
+});
+
+const capturedEmails = [];
+
+const createMemoryTransport = () => ({
+  name: 'memory',
+  send: async (msg) => {
+    capturedEmails.push(msg);
+  },
+  check: async () => {},
+});
+
+const TRANSPORT_FACTORIES = {
+  sendgrid: createSendGridTransport,
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  memory: createMemoryTransport,
+};
+
+let transport = null;
+const getTransport = () => {
+  if (transport) return transport;
+  const factory = TRANSPORT_FACTORIES[EMAIL_TRANSPORT];
+  if (!factory) throw new Error(`Unknown EMAIL_TRANSPORT "${EMAIL_TRANSPORT}".`);
+  transport = factory();
+  return transport;
+};
+
+const getRetryDelay = (attempts) => Math.min(RETRY_INTERVAL_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+const enqueue = async (msg, error) => {
+  const queue = await queueStore.load();
+  const entry = {
+    id: crypto.randomUUID(),
+    msg,
+    attempts: 1,
+    lastError: error.message,
+    status: 'PENDING',
+    queuedAt: new Date().toISOString(),
+    nextAttemptAt: new Date(Date.now() + getRetryDelay(1)).toISOString(),
+  };
+  await queueStore.save([...queue, entry]);
+  return entry;
+};
+
+/**
+ * Sends an email through the configured transport. If the transport fails, the message is queued
+ * for background retry and the call still resolves.
+ * @param {object} msg - The message, in SendGrid's { to, from, subject, html, attachments } shape.
+ * @returns {Promise<{queued: boolean}>} Whether the message was queued rather than sent.
+ */
+async function sendEmail(msg) {
+  try {
+    await getTransport().send(msg);
+    return { queued: false };
+  } catch (error) {
+    console.error(`Email transport "${EMAIL_TRANSPORT}" failed, queueing message for retry:`, error.message);
+    recordEmailSendFailure(EMAIL_TRANSPORT, 'send');
+    await enqueue(msg, error);
+    return { queued: true };
+  }
+}
+
+/**
+ * Retries every queued message that is due. Messages that keep failing are marked FAILED after
+ * EMAIL_MAX_ATTEMPTS attempts and left in the queue file for inspection.
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+async function processEmailQueue() {
+  const queue = await queueStore.load();
+  const now = Date.now();
+  let sent = 0;
+  let failed = 0;
+
+  for (const entry of queue) {
+    if (entry.status !== 'PENDING' || new Date(entry.nextAttemptAt).getTime() > now) continue;
+    try {
+      await getTransport().send(entry.msg);
+      entry.status = 'SENT';
+      entry.sentAt = new Date().toISOString();
+      sent += 1;
+    } catch (error) {
+      recordEmailSendFailure(EMAIL_TRANSPORT, 'retry');
+      entry.attempts += 1;
+      entry.lastError = error.message;
+      if (entry.attempts >= MAX_SEND_ATTEMPTS) {
+        entry.status = 'FAILED';
+        failed += 1;
+        console.error(`Giving up on queued email "${entry.msg.subject}" after ${entry.attempts} attempts.`);
+      } else {
+        entry.nextAttemptAt = new Date(now + getRetryDelay(entry.attempts)).toISOString();
+      }
+    }
+  }
+
+  // Reload so messages queued while we were sending are kept. Sent messages have nothing left to
+  // do; failed ones stay for someone to look at.
+  const current = await queueStore.load();
+  await queueStore.save(current.filter(entry => entry.status !== 'SENT'));
+  return { sent, failed };
+}
+
+/**
+ * Starts retrying queued emails in the background.
+ * @returns {NodeJS.Timeout} The interval handle (unref'd, so it never keeps the process alive).
+ */
+function startEmailRetryWorker() {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processEmailQueue();
+    } catch (error) {
+      console.error("Error processing email retry queue:", error.message);
+    } finally {
+      running = false;
+    }
+  }, RETRY_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+// SMTP servers that accept the connection but never answer would otherwise hold the check for minutes.
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms.`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Checks that the configured transport could send right now, and reports the retry queue. Always resolves.
+ * @returns {Promise<{ok: boolean, transport: string, error: (string|null), queuedMessages: number, failedMessages: number}>}
+ *   queuedMessages are still being retried; failedMessages were given up on.
+ */
+async function checkEmailTransport() {
+  const queue = await queueStore.load();
+  const result = {
+    transport: EMAIL_TRANSPORT,
+    queuedMessages: queue.filter(entry => entry.status === 'PENDING').length,
+    failedMessages: queue.filter(entry => entry.status === 'FAILED').length,
+  };
+  try {
+    await withTimeout(Promise.resolve().then(() => getTransport().check()), CHECK_TIMEOUT_MS);
+    return { ok: true, ...result, error: null };
+  } catch (error) {
+    return { ok: false, ...result, error: error.message };
+  }
+}
+
+/**
+ * Lists the messages sent through the "memory" transport, oldest first.
+ * @returns {object[]}
+ */
+function getCapturedEmails() {
+  return [...capturedEmails];
+}
+
+/**
+ * Forgets every message captured by the "memory" transport.
+ * @returns {void}
+ */
+function clearCapturedEmails() {
+  capturedEmails.length = 0;
+}
+
+module.exports = {
+  sendEmail,
+  getCapturedEmails,
+  clearCapturedEmails,
+  processEmailQueue,
+  startEmailRetryWorker,
+  checkEmailTransport,
+};
@@ -0,0 +1,53 @@
+// utils/jsonFileStore.js
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+/**
+ * Creates a small JSON-file-backed store for local records (webhook events, tickets, ...).
+ * The data is loaded once and kept in memory; every save rewrites the whole file and rejects if
+ * the write fails.
+ * @param {string} fileName - File name inside DATA_DIR, e.g. "tickets.json".
+ * @param {Function} createDefault - Returns the initial value when the file doesn't exist yet.
+ * @returns {{load: function(): Promise<any>, save: function(any): Promise<void>}}
+ */
+function createJsonFileStore(fileName, createDefault) {
+  const filePath = path.join(DATA_DIR, fileName);
+  let data = null;
+  let writeQueue = Promise.resolve();
+
+  const load = async () => {
+    if (data) return data;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`Could not read ${fileName}, starting fresh:`, error.message);
+      data = createDefault();
+    }
+    return data;
+  };
+
+  // Writes are chained so concurrent requests can't interleave and corrupt the file. A failed write
+  // rejects for the caller that made it, but doesn't stop the writes queued behind it.
+  const save = (nextData) => {
+    data = nextData;
+    const write = writeQueue.then(async () => {
+      await fs.mkdir(DATA_DIR, { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+    });
+    writeQueue = write.catch(() => {});
+    return write.catch(error => {
+      console.error(`Error writing ${fileName}:`, error.message);
+      throw error;
+    });
+  };
+
+  return { load, save };
+}
+
+module.exports = {
+  DATA_DIR,
+  createJsonFileStore,
+};
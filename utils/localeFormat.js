@@ -0,0 +1,194 @@
+// utils/localeFormat.js
+
+/*
+ * Money and date formatting for a caller's locale and timezone. Two styles are supported:
+ *   - "display": what a person would read, e.g. "$24.99" and "March 3, 2026".
+ *   - "spoken": what a TTS engine reads naturally, e.g. "twenty-four dollars and ninety-nine cents"
+ *     and "Tuesday, March 3rd". Amounts are only spelled out in English; other locales get the
+ *     currency's full name instead of its symbol ("24,99 euros"), which TTS engines handle well.
+ */
+
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en-US';
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+const FORMAT_STYLES = ['display', 'spoken'];
+
+const ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = [[1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand']];
+
+// Spoken names for the major and minor units of common currencies: [singular, plural].
+const CURRENCY_WORDS = {
+  USD: { major: ['dollar', 'dollars'], minor: ['cent', 'cents'] },
+  CAD: { major: ['dollar', 'dollars'], minor: ['cent', 'cents'] },
+  AUD: { major: ['dollar', 'dollars'], minor: ['cent', 'cents'] },
+  NZD: { major: ['dollar', 'dollars'], minor: ['cent', 'cents'] },
+  EUR: { major: ['euro', 'euros'], minor: ['cent', 'cents'] },
+  GBP: { major: ['pound', 'pounds'], minor: ['penny', 'pence'] },
+  MXN: { major: ['peso', 'pesos'], minor: ['centavo', 'centavos'] },
+  INR: { major: ['rupee', 'rupees'], minor: ['paisa', 'paise'] },
+  JPY: { major: ['yen', 'yen'], minor: null },
+};
+
+const spellUnderThousand = (number) => {
+  const hundreds = Math.floor(number / 100);
+  const rest = number % 100;
+  const words = [];
+  if (hundreds) words.push(`${ONES[hundreds]} hundred`);
+  if (rest >= 20) words.push(TENS[Math.floor(rest / 10)] + (rest % 10 ? `-${ONES[rest % 10]}` : ''));
+  else if (rest || !hundreds) words.push(ONES[rest]);
+  return words.join(' ');
+};
+
+/**
+ * Spells out a whole number in English, e.g. 1042 -> "one thousand forty-two".
+ * @param {number} number - A whole number.
+ * @returns {string}
+ */
+function spellOutNumber(number) {
+  if (number < 0) return `minus ${spellOutNumber(-number)}`;
+  let remaining = Math.floor(number);
+  const words = [];
+  for (const [scale, name] of SCALES) {
+    if (remaining >= scale) {
+      words.push(`${spellOutNumber(Math.floor(remaining / scale))} ${name}`);
+      remaining %= scale;
+    }
+  }
+  if (remaining || words.length === 0) words.push(spellUnderThousand(remaining));
+  return words.join(' ');
+}
+
+const ordinalSuffix = (day) => {
+  if (day % 100 >= 11 && day % 100 <= 13) return 'th';
+  return { 1: 'st', 2: 'nd', 3: 'rd' }[day % 10] || 'th';
+};
+
+const isEnglish = (locale) => /^en\b/i.test(locale);
+
+const getDateParts = (date, locale, timeZone) => Object.fromEntries(
+  new Intl.DateTimeFormat(locale, { timeZone, year: 'numeric', month: 'long', day: 'numeric', weekday: 'long' })
+    .formatToParts(date)
+    .map(part => [part.type, part.value])
+);
+
+// A sortable "YYYY-MM-DD" key for the calendar day a moment falls on in the given timezone.
+const getDayKey = (date, timeZone) => new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+
+/**
+ * Checks a requested locale, timezone and style, filling in the defaults for anything not given.
+ * @param {object} requested
+ * @param {string} [requested.locale] - A BCP 47 locale such as "en-CA" or "fr-FR".
+ * @param {string} [requested.timeZone] - An IANA timezone such as "America/Toronto".
+ * @param {string} [requested.format] - "display" or "spoken".
+ * @param {object} [defaults] - Store-level { locale, timeZone } used before the global defaults.
+ * @returns {{options: (object|null), error: (string|null)}}
+ */
+function resolveFormatOptions({ locale, timeZone, format } = {}, defaults = {}) {
+  const options = {
+    locale: locale || defaults.locale || DEFAULT_LOCALE,
+    timeZone: timeZone || defaults.timeZone || DEFAULT_TIME_ZONE,
+    spoken: format === 'spoken',
+  };
+  if (format && !FORMAT_STYLES.includes(format)) {
+    return { options: null, error: `Invalid format: ${format}. Expected "display" or "spoken".` };
+  }
+  try {
+    if (Intl.DateTimeFormat.supportedLocalesOf(options.locale).length === 0) {
+      return { options: null, error: `Unsupported locale: ${options.locale}` };
+    }
+  } catch {
+    return { options: null, error: `Invalid locale: ${options.locale}` };
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: options.timeZone });
+  } catch {
+    return { options: null, error: `Invalid time zone: ${options.timeZone}` };
+  }
+  return { options, error: null };
+}
+
+/**
+ * Creates money and date formatters for one locale, timezone and style.
+ * @param {object} [options] - From resolveFormatOptions; defaults to the global defaults.
+ * @param {string} [options.locale]
+ * @param {string} [options.timeZone]
+ * @param {boolean} [options.spoken] - Use the TTS-friendly style.
+ * @returns {{locale: string, timeZone: string, spoken: boolean, formatMoney: Function, formatDate: Function, formatCalendarDate: Function, formatTimeWindow: Function, daysSince: Function}}
+ */
+function createFormatter({ locale = DEFAULT_LOCALE, timeZone = DEFAULT_TIME_ZONE, spoken = false } = {}) {
+  const formatMoney = (amount, currencyCode) => {
+    const value = parseFloat(amount);
+    if (isNaN(value)) return null;
+    if (!spoken) return new Intl.NumberFormat(locale, { style: 'currency', currency: currencyCode }).format(value);
+
+    const words = CURRENCY_WORDS[currencyCode];
+    if (!isEnglish(locale) || !words) {
+      return new Intl.NumberFormat(locale, { style: 'currency', currency: currencyCode, currencyDisplay: 'name' }).format(value);
+    }
+    const totalMinor = Math.round(Math.abs(value) * (words.minor ? 100 : 1));
+    const major = words.minor ? Math.floor(totalMinor / 100) : totalMinor;
+    const minor = words.minor ? totalMinor % 100 : 0;
+    const parts = [];
+    if (major || !minor) parts.push(`${spellOutNumber(major)} ${words.major[major === 1 ? 0 : 1]}`);
+    if (minor) parts.push(`${spellOutNumber(minor)} ${words.minor[minor === 1 ? 0 : 1]}`);
+    return `${value < 0 ? 'minus ' : ''}${parts.join(' and ')}`;
+  };
+
+  const formatDateInZone = (date, zone) => {
+    if (!spoken) {
+      return date.toLocaleDateString(locale, { timeZone: zone, year: 'numeric', month: 'long', day: 'numeric' });
+    }
+    const sameYear = getDayKey(date, zone).slice(0, 4) === getDayKey(new Date(), timeZone).slice(0, 4);
+    if (!isEnglish(locale)) {
+      return date.toLocaleDateString(locale, { timeZone: zone, weekday: 'long', month: 'long', day: 'numeric', ...(sameYear ? {} : { year: 'numeric' }) });
+    }
+    const parts = getDateParts(date, locale, zone);
+    const day = parseInt(parts.day, 10);
+    return `${parts.weekday}, ${parts.month} ${day}${ordinalSuffix(day)}${sameYear ? '' : `, ${parts.year}`}`;
+  };
+
+  // A moment in time (e.g. processedAt), shown as the calendar day it fell on in the caller's timezone.
+  const formatDate = (dateString) => {
+    if (!dateString) return null;
+    const date = new Date(dateString);
+    if (isNaN(date.getTime())) return null;
+    return formatDateInZone(date, timeZone);
+  };
+
+  // A plain calendar date such as "2026-03-03", which is the same day in every timezone.
+  const formatCalendarDate = (dateString) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateString || '')) return null;
+    const date = new Date(`${dateString}T00:00:00Z`);
+    if (isNaN(date.getTime())) return null;
+    return formatDateInZone(date, 'UTC');
+  };
+
+  // Whole calendar days between a moment and today, in the caller's timezone.
+  const daysSince = (dateString) => {
+    const toDayNumber = (date) => Date.parse(`${getDayKey(date, timeZone)}T00:00:00Z`) / (24 * 60 * 60 * 1000);
+    return toDayNumber(new Date()) - toDayNumber(new Date(dateString));
+  };
+
+  // A window of time within one day (e.g. a callback slot), in the caller's timezone.
+  const formatTimeWindow = (start, end) => {
+    const startDate = new Date(start);
+    const endDate = new Date(end);
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) return null;
+    const day = formatDateInZone(startDate, timeZone);
+    if (spoken && isEnglish(locale)) {
+      const time = new Intl.DateTimeFormat(locale, { timeZone, hour: 'numeric', minute: '2-digit' });
+      return `${day} between ${time.format(startDate)} and ${time.format(endDate)}`;
+    }
+    const times = new Intl.DateTimeFormat(locale, { timeZone, hour: 'numeric', minute: '2-digit', timeZoneName: 'short' });
+    return `${day}, ${times.formatRange(startDate, endDate)}`;
+  };
+
+  return { locale, timeZone, spoken, formatMoney, formatDate, formatCalendarDate, formatTimeWindow, daysSince };
+}
+
+module.exports = {
+  spellOutNumber,
+  resolveFormatOptions,
+  createFormatter,
+};
@@ -0,0 +1,147 @@
+// utils/metrics.js
+
+/*
+ * In-process counters and histograms, served at GET /metrics in Prometheus' text format. Values
+ * are per process and reset on restart, which Prometheus' rate() and increase() already allow for.
+ * Label values are kept to a fixed set (route patterns, operation names, transports) so a flood of
+ * bad requests can't create unbounded series.
+ */
+
+const METRIC_PREFIX = 'retro_middleware_';
+// Seconds. Most tool calls answer within a second; Shopify retries with backoff make up the tail.
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const metrics = [];
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length > 0 ? `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}` : '';
+};
+
+// One series per distinct label set, keyed by its rendered labels.
+const getSeries = (seriesByLabels, labels, createSeries) => {
+  const key = formatLabels(labels);
+  if (!seriesByLabels.has(key)) seriesByLabels.set(key, { labels, ...createSeries() });
+  return seriesByLabels.get(key);
+};
+
+const createCounter = (name, help) => {
+  const seriesByLabels = new Map();
+  const counter = {
+    inc: (labels = {}, amount = 1) => {
+      getSeries(seriesByLabels, labels, () => ({ value: 0 })).value += amount;
+    },
+    render: () => [
+      `# HELP ${METRIC_PREFIX}${name} ${help}`,
+      `# TYPE ${METRIC_PREFIX}${name} counter`,
+      ...[...seriesByLabels.values()].map(series => `${METRIC_PREFIX}${name}${formatLabels(series.labels)} ${series.value}`),
+    ],
+  };
+  metrics.push(counter);
+  return counter;
+};
+
+const createHistogram = (name, help, buckets) => {
+  const seriesByLabels = new Map();
+  const histogram = {
+    observe: (labels, value) => {
+      const series = getSeries(seriesByLabels, labels, () => ({ bucketCounts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((bound, index) => {
+        if (value <= bound) series.bucketCounts[index] += 1;
+      });
+      series.sum += value;
+      series.count += 1;
+    },
+    render: () => [
+      `# HELP ${METRIC_PREFIX}${name} ${help}`,
+      `# TYPE ${METRIC_PREFIX}${name} histogram`,
+      ...[...seriesByLabels.values()].flatMap(series => [
+        ...buckets.map((bound, index) =>
+          `${METRIC_PREFIX}${name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.bucketCounts[index]}`),
+        `${METRIC_PREFIX}${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`,
+        `${METRIC_PREFIX}${name}_sum${formatLabels(series.labels)} ${series.sum}`,
+        `${METRIC_PREFIX}${name}_count${formatLabels(series.labels)} ${series.count}`,
+      ]),
+    ],
+  };
+  metrics.push(histogram);
+  return histogram;
+};
+
+const requestsTotal = createCounter('http_requests_total', 'Requests and in-process tool calls handled, by endpoint and status code.');
+const requestDuration = createHistogram('http_request_duration_seconds', 'Time taken to answer requests and in-process tool calls, by endpoint.', LATENCY_BUCKETS);
+const shopifyErrorsTotal = createCounter('shopify_errors_total', 'Shopify requests that failed after any retries, by operation and reason.');
+const shopifyThrottledTotal = createCounter('shopify_throttled_total', 'Shopify responses that throttled a request, retried or not, by operation.');
+const lookupsTotal = createCounter('lookups_total', 'Order, customer, product and ticket lookups, by lookup and whether anything was found.');
+const emailSendFailuresTotal = createCounter('email_send_failures_total', 'Emails the transport failed to send, by transport and whether it was the first attempt or a retry.');
+
+/**
+ * Records one answered request or in-process tool call.
+ * @param {object} details
+ * @param {string} details.endpoint - The route pattern, e.g. "/callbacks/:callbackId/complete", never the raw path.
+ * @param {number} details.statusCode - The HTTP status sent back.
+ * @param {number} details.durationSeconds - How long it took to answer.
+ * @returns {void}
+ */
+function recordRequest({ endpoint, statusCode, durationSeconds }) {
+  requestsTotal.inc({ endpoint, status: statusCode });
+  requestDuration.observe({ endpoint }, durationSeconds);
+}
+
+/**
+ * Records a Shopify request that failed for good.
+ * @param {string} operation - The GraphQL operation name, e.g. "getOrderById".
+ * @param {('throttled'|'client_error'|'server_error'|'network'|'graphql')} reason
+ * @returns {void}
+ */
+function recordShopifyError(operation, reason) {
+  shopifyErrorsTotal.inc({ operation, reason });
+}
+
+/**
+ * Records a throttled Shopify response, whether or not the request was then retried.
+ * @param {string} operation - The GraphQL operation name.
+ * @returns {void}
+ */
+function recordShopifyThrottle(operation) {
+  shopifyThrottledTotal.inc({ operation });
+}
+
+/**
+ * Records whether a lookup found what the caller asked about.
+ * @param {string} lookup - What was looked up, e.g. "order_by_number".
+ * @param {boolean} found
+ * @returns {void}
+ */
+function recordLookup(lookup, found) {
+  lookupsTotal.inc({ lookup, result: found ? 'hit' : 'miss' });
+}
+
+/**
+ * Records an email the transport failed to send.
+ * @param {string} transport - The EMAIL_TRANSPORT in use, e.g. "sendgrid".
+ * @param {('send'|'retry')} stage - Whether this was the first attempt or a queued retry.
+ * @returns {void}
+ */
+function recordEmailSendFailure(transport, stage) {
+  emailSendFailuresTotal.inc({ transport, stage });
+}
+
+/**
+ * Renders every metric in Prometheus' text exposition format.
+ * @returns {string}
+ */
+function renderMetrics() {
+  return metrics.flatMap(metric => metric.render()).join('\n') + '\n';
+}
+
+module.exports = {
+  recordRequest,
+  recordShopifyError,
+  recordShopifyThrottle,
+  recordLookup,
+  recordEmailSendFailure,
+  renderMetrics,
+};
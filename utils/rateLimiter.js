@@ -0,0 +1,41 @@
+// utils/rateLimiter.js
+
+/**
+ * Creates an in-memory fixed-window rate limiter. Counts are per process, so with several
+ * instances behind a load balancer each one enforces the limit separately.
+ * @param {object} options
+ * @param {number} options.limit - Requests allowed per window for one key.
+ * @param {number} options.windowMs - The window length in milliseconds.
+ * @returns {{consume: function(string, number=): {allowed: boolean, remaining: number, retryAfterSeconds: number}}}
+ *   consume takes the key and an optional per-key limit that overrides the default.
+ */
+function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+
+  const sweepExpired = (now) => {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  };
+
+  const consume = (key, keyLimit = limit) => {
+    const now = Date.now();
+    if (windows.size > 10000) sweepExpired(now);
+
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    const retryAfterSeconds = Math.ceil((window.resetAt - now) / 1000);
+    if (window.count >= keyLimit) return { allowed: false, remaining: 0, retryAfterSeconds };
+    window.count += 1;
+    return { allowed: true, remaining: keyLimit - window.count, retryAfterSeconds };
+  };
+
+  return { consume };
+}
+
+module.exports = {
+  createRateLimiter,
+};
@@ -0,0 +1,55 @@
+// utils/returnPolicy.js
+
+/*
+ * Which items callers can return, and for how long. The defaults come from RETURN_WINDOW_DAYS and
+ * RETURN_EXCLUDED_PRODUCT_TYPES (comma-separated), and a store can override them with a
+ * "returnPolicy" object in its store config:
+ *
+ * { "windowDays": 30, "excludedProductTypes": ["Alterations"] }
+ *
+ * Excluded product types are made or altered to order, so they can't go back on the shelf.
+ */
+
+const DEFAULT_POLICY = {
+  windowDays: parseInt(process.env.RETURN_WINDOW_DAYS, 10) || 30,
+  excludedProductTypes: process.env.RETURN_EXCLUDED_PRODUCT_TYPES !== undefined
+    ? process.env.RETURN_EXCLUDED_PRODUCT_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+    : ['Alterations'],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the return policy for a store.
+ * @param {object} [store] - The store from the store registry.
+ * @returns {{windowDays: number, excludedProductTypes: string[]}}
+ */
+function getReturnPolicy(store) {
+  return { ...DEFAULT_POLICY, ...store?.returnPolicy };
+}
+
+/**
+ * Works out whether one line item can be returned.
+ * @param {object} item
+ * @param {string} item.itemCategory - "PHYSICAL" or "DIGITAL".
+ * @param {string} item.fulfillmentStatus - "FULFILLED" or "UNFULFILLED".
+ * @param {string} [item.productType] - The product type, checked against the exclusions.
+ * @param {string} [item.fulfilledAt] - When the item's fulfillment was created (ISO timestamp).
+ * @param {object} policy - From getReturnPolicy.
+ * @returns {{returnable: boolean, reason: string, returnableUntil: (string|null)}}
+ *   returnableUntil is an ISO timestamp for items inside the window.
+ */
+function checkItemReturnable({ itemCategory, fulfillmentStatus, productType, fulfilledAt }, policy) {
+  if (itemCategory === 'DIGITAL') return { returnable: false, reason: 'DIGITAL_ITEM', returnableUntil: null };
+  if (policy.excludedProductTypes.includes(productType)) return { returnable: false, reason: 'CUSTOMIZED_ITEM', returnableUntil: null };
+  if (fulfillmentStatus !== 'FULFILLED' || !fulfilledAt) return { returnable: false, reason: 'NOT_SHIPPED', returnableUntil: null };
+
+  const returnableUntil = new Date(new Date(fulfilledAt).getTime() + policy.windowDays * DAY_MS);
+  if (returnableUntil.getTime() < Date.now()) return { returnable: false, reason: 'WINDOW_EXPIRED', returnableUntil: null };
+  return { returnable: true, reason: 'ELIGIBLE', returnableUntil: returnableUntil.toISOString() };
+}
+
+module.exports = {
+  getReturnPolicy,
+  checkItemReturnable,
+};
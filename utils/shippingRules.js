@@ -0,0 +1,192 @@
+// utils/shippingRules.js
+
+const fs = require('fs');
+
+/*
+ * Rules for estimating when items ship and arrive. They are configured with SHIPPING_RULES (inline
+ * JSON) or SHIPPING_RULES_PATH (path to a JSON file), and a store can override any of them with a
+ * "shippingRules" object in its store config:
+ *
+ * {
+ *   "shipDateTags": [{ "prefix": "w3dd:", "format": "YYYY-MM-DD" }, { "prefix": "ships:", "format": "MM/DD/YYYY" }],
+ *   "physicalProductTypes": ["Embroidered Patches", "Alterations"],
+ *   "processingDays": { "default": { "min": 2, "max": 7 }, "byProductType": { "Alterations": { "min": 5, "max": 10 } } },
+ *   "transitDays": { "min": 2, "max": 5 },
+ *   "businessDays": [1, 2, 3, 4, 5],
+ *   "holidays": ["2026-12-25", "2027-01-01"],
+ *   "timeZone": "America/New_York"
+ * }
+ *
+ * A ship-date tag on the order wins over the processing-time estimate. All day counts are business
+ * days: weekdays listed in businessDays (0 = Sunday) that aren't holidays.
+ */
+
+const DEFAULT_RULES = {
+  shipDateTags: [{ prefix: 'w3dd:', format: 'YYYY-MM-DD' }],
+  physicalProductTypes: ['Embroidered Patches', 'Alterations'],
+  processingDays: { default: { min: 2, max: 7 }, byProductType: {} },
+  transitDays: { min: 2, max: 5 },
+  businessDays: [1, 2, 3, 4, 5],
+  holidays: [],
+  timeZone: 'UTC',
+};
+
+const MAX_DAYS_SEARCHED = 366;
+
+const loadGlobalRules = () => {
+  let raw = process.env.SHIPPING_RULES;
+  if (!raw && process.env.SHIPPING_RULES_PATH) {
+    raw = fs.readFileSync(process.env.SHIPPING_RULES_PATH, 'utf8');
+  }
+  return raw ? JSON.parse(raw) : {};
+};
+
+const globalRules = loadGlobalRules();
+const rulesByStore = new Map();
+
+const mergeRules = (...layers) => layers.filter(Boolean).reduce((merged, layer) => ({
+  ...merged,
+  ...layer,
+  processingDays: {
+    default: layer.processingDays?.default || merged.processingDays.default,
+    byProductType: { ...merged.processingDays.byProductType, ...layer.processingDays?.byProductType },
+  },
+}), DEFAULT_RULES);
+
+/**
+ * Returns the shipping rules for a store: the defaults, then SHIPPING_RULES, then the store's own.
+ * @param {object} [store] - The store from the store registry.
+ * @returns {object}
+ */
+function getShippingRules(store) {
+  const storeId = store?.id || '';
+  if (!rulesByStore.has(storeId)) {
+    const rules = mergeRules(globalRules, store?.shippingRules);
+    rulesByStore.set(storeId, { ...rules, holidaySet: new Set(rules.holidays) });
+  }
+  return rulesByStore.get(storeId);
+}
+
+// Turns "MM/DD/YYYY" style formats into a regex with named groups.
+const formatToPattern = (format) => new RegExp('^' + format
+  .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  .replace('YYYY', '(?<year>\\d{4})')
+  .replace('MM', '(?<month>\\d{1,2})')
+  .replace('DD', '(?<day>\\d{1,2})') + '$');
+
+const toDateKey = (year, month, day) => `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+const isValidDateKey = (dateKey) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(dateKey);
+};
+
+/**
+ * Finds an expected ship date in the order's tags.
+ * @param {string[]} tags - The order's tags.
+ * @param {object} rules - From getShippingRules.
+ * @returns {string|null} The date as "YYYY-MM-DD".
+ */
+function parseShipDateFromTags(tags, rules) {
+  if (!Array.isArray(tags)) return null;
+  for (const { prefix, format } of rules.shipDateTags) {
+    const tag = tags.find(candidate => candidate.toLowerCase().startsWith(prefix.toLowerCase()));
+    const match = tag?.slice(prefix.length).trim().match(formatToPattern(format));
+    if (!match) continue;
+    const dateKey = toDateKey(match.groups.year, match.groups.month, match.groups.day);
+    if (isValidDateKey(dateKey)) return dateKey;
+  }
+  return null;
+}
+
+/**
+ * Whether a line item ships physically, by its requiresShipping flag or product type.
+ * @param {object} lineItem - The Shopify line item node.
+ * @param {object} rules - From getShippingRules.
+ * @returns {boolean}
+ */
+function isPhysicalItem(lineItem, rules) {
+  return Boolean(lineItem.requiresShipping) || rules.physicalProductTypes.includes(lineItem.variant?.product?.productType || '');
+}
+
+const isBusinessDay = (dateKey, rules) =>
+  rules.businessDays.includes(new Date(`${dateKey}T00:00:00Z`).getUTCDay()) && !rules.holidaySet.has(dateKey);
+
+const nextDay = (dateKey) => new Date(Date.parse(`${dateKey}T00:00:00Z`) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+// Moves forward to the first business day on or after the date.
+const toBusinessDay = (dateKey, rules) => {
+  let current = dateKey;
+  for (let searched = 0; !isBusinessDay(current, rules) && searched < MAX_DAYS_SEARCHED; searched += 1) {
+    current = nextDay(current);
+  }
+  return current;
+};
+
+/**
+ * Adds business days to a date, skipping weekends and holidays.
+ * @param {string} dateKey - "YYYY-MM-DD".
+ * @param {number} days - Business days to add.
+ * @param {object} rules - From getShippingRules.
+ * @returns {string} "YYYY-MM-DD".
+ */
+function addBusinessDays(dateKey, days, rules) {
+  let current = toBusinessDay(dateKey, rules);
+  for (let added = 0; added < days; added += 1) {
+    current = toBusinessDay(nextDay(current), rules);
+  }
+  return current;
+}
+
+const toLocalDateKey = (date, timeZone) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+
+/**
+ * Estimates when an unshipped item will ship and arrive.
+ * @param {object} details
+ * @param {string} [details.productType] - The item's product type, for its processing time.
+ * @param {string} details.orderedAt - When the order was placed (ISO timestamp).
+ * @param {string} [details.taggedShipDate] - A ship date from the order's tags, "YYYY-MM-DD".
+ * @param {object} rules - From getShippingRules.
+ * @returns {{source: string, delayed: boolean, shipBy: {earliest: string, latest: string}, delivery: {earliest: string, latest: string}}}
+ *   Dates are "YYYY-MM-DD"; source is "TAG" or "PROCESSING_TIME". delayed is true once the last
+ *   day the item should have shipped has passed; shipBy then keeps the missed dates.
+ */
+function estimateItemShipping({ productType, orderedAt, taggedShipDate }, rules) {
+  const today = toBusinessDay(toLocalDateKey(new Date(), rules.timeZone), rules);
+
+  let shipBy;
+  if (taggedShipDate) {
+    const shipDate = toBusinessDay(taggedShipDate, rules);
+    shipBy = { earliest: shipDate, latest: shipDate };
+  } else {
+    const processing = rules.processingDays.byProductType[productType] || rules.processingDays.default;
+    const orderDate = toLocalDateKey(new Date(orderedAt || Date.now()), rules.timeZone);
+    shipBy = {
+      earliest: addBusinessDays(orderDate, processing.min, rules),
+      latest: addBusinessDays(orderDate, processing.max, rules),
+    };
+  }
+
+  // Not moved forward to today, or an overdue item would read "ships today" every day.
+  const delayed = shipBy.latest < today;
+  if (!delayed && shipBy.earliest < today) shipBy = { ...shipBy, earliest: today };
+
+  return {
+    source: taggedShipDate ? 'TAG' : 'PROCESSING_TIME',
+    delayed,
+    shipBy,
+    delivery: {
+      earliest: addBusinessDays(shipBy.earliest, rules.transitDays.min, rules),
+      latest: addBusinessDays(shipBy.latest, rules.transitDays.max, rules),
+    },
+  };
+}
+
+module.exports = {
+  getShippingRules,
+  parseShipDateFromTags,
+  isPhysicalItem,
+  addBusinessDays,
+  estimateItemShipping,
+};
@@ -1,42 +1,209 @@
 // utils/shopifyApi.js
 
 const axios = require('axios');
+const { getDefaultStore } = require('./storeRegistry');
+const { recordShopifyQuery } = require('./auditLog');
+const { isShopifyMockEnabled, getMockShopifyResponse } = require('./shopifyMock');
+const { recordShopifyError, recordShopifyThrottle } = require('./metrics');
 
-// Ensure these are set in your environment variables
-const SHOPIFY_STORE_URL = process.env.SHOPIFY_STORE_URL;
-const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+// Reads are cached briefly so repeated lookups for the same caller during a call don't hit Shopify again.
+const CACHE_TTL_MS = (parseInt(process.env.SHOPIFY_CACHE_TTL_SECONDS, 10) || 30) * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.SHOPIFY_MAX_ATTEMPTS, 10) || 4;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 10000;
+// Readiness checks make one attempt with a short timeout, so a slow Shopify fails the check instead of hanging it.
+const CONNECTION_CHECK_TIMEOUT_MS = 5000;
 
-async function fetchShopifyData(graphqlQuery, variables) {
-  if (!SHOPIFY_STORE_URL || !SHOPIFY_ACCESS_TOKEN) {
-    throw new Error("Shopify URL or Access Token is not defined in environment variables.");
+// Keyed by query + variables; each entry holds the in-flight or settled promise so concurrent
+// identical lookups share one request.
+const responseCache = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isMutation = (graphqlQuery) => /^\s*mutation\b/m.test(graphqlQuery);
+
+const getOperationName = (graphqlQuery) => graphqlQuery.match(/\b(?:query|mutation)\s+(\w+)/)?.[1] || 'anonymous';
+
+const getBackoffDelay = (attempt) =>
+  Math.min(BASE_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS) + Math.floor(Math.random() * 100);
+
+// Shopify's GraphQL API is a leaky bucket: wait until enough points have been restored to cover
+// the cost of the query that was throttled, as reported in `extensions.cost`.
+const getThrottleDelay = (cost, attempt) => {
+  const throttleStatus = cost?.throttleStatus;
+  if (throttleStatus?.restoreRate && cost.requestedQueryCost) {
+    const deficit = cost.requestedQueryCost - throttleStatus.currentlyAvailable;
+    if (deficit > 0) return Math.min(Math.ceil(deficit / throttleStatus.restoreRate) * 1000, MAX_BACKOFF_MS);
+  }
+  return getBackoffDelay(attempt);
+};
+
+async function requestShopify(store, graphqlQuery, variables, { retryOnServerError }) {
+  const operation = getOperationName(graphqlQuery);
+  for (let attempt = 0; ; attempt++) {
+    const isLastAttempt = attempt >= MAX_ATTEMPTS - 1;
+
+    let response;
+    try {
+      response = await axios.post(
+        store.shopify.storeUrl,
+        { query: graphqlQuery, variables },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Shopify-Access-Token': store.shopify.accessToken
+          }
+        }
+      );
+    } catch (error) {
+      const status = error.response?.status;
+      if (status === 429) recordShopifyThrottle(operation);
+      // A 429 means the request never ran; 5xx and network errors are only retried for reads,
+      // since a mutation may have been applied before the failure.
+      const retryable = status === 429 || (retryOnServerError && (!error.response || status >= 500));
+      if (retryable && !isLastAttempt) {
+        const retryAfterSeconds = parseFloat(error.response?.headers?.['retry-after']);
+        const delay = retryAfterSeconds > 0 ? retryAfterSeconds * 1000 : getBackoffDelay(attempt);
+        console.warn(`Shopify API request failed (${status || error.message}), retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      console.error("Error calling Shopify GraphQL API:", error.message);
+      if (error.response) {
+        console.error("Shopify API Response Error:", status, error.response.data);
+        let reason = status >= 500 ? 'server_error' : 'client_error';
+        if (status === 429) reason = 'throttled';
+        recordShopifyError(operation, reason);
+        const apiError = new Error(`Shopify API responded with status ${status}`);
+        if (status === 429) apiError.code = 'THROTTLED';
+        throw apiError;
+      }
+      recordShopifyError(operation, 'network');
+      throw new Error(`Network or unexpected error during Shopify API call: ${error.message}`);
+    }
+
+    const { data, errors, extensions } = response.data;
+    if (errors) {
+      const throttled = errors.some(err => err.extensions?.code === 'THROTTLED');
+      if (throttled) recordShopifyThrottle(operation);
+      if (throttled && !isLastAttempt) {
+        const delay = getThrottleDelay(extensions?.cost, attempt);
+        console.warn(`Shopify API throttled the request, retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      console.error("Shopify GraphQL Errors:", errors);
+      recordShopifyError(operation, throttled ? 'throttled' : 'graphql');
+      const graphqlError = new Error(errors.map(err => err.message).join(', '));
+      if (throttled) graphqlError.code = 'THROTTLED';
+      throw graphqlError;
+    }
+
+    return data;
+  }
+}
+
+/**
+ * Drops cached Shopify responses. Called automatically after every mutation so later reads see the write.
+ * @param {string} [storeId] - Only drop responses for this store; drops everything when omitted.
+ * @returns {void}
+ */
+function invalidateShopifyCache(storeId) {
+  if (!storeId) {
+    responseCache.clear();
+    return;
+  }
+  for (const [key, entry] of responseCache) {
+    if (entry.storeId === storeId) responseCache.delete(key);
+  }
+}
+
+/**
+ * Runs a GraphQL query or mutation against the Shopify Admin API.
+ * Queries are cached for a short TTL and retried with backoff on throttling and 5xx responses;
+ * mutations are never cached and invalidate the cache once they succeed.
+ * @param {string} graphqlQuery - The GraphQL document to send.
+ * @param {object} [variables] - The GraphQL variables.
+ * @param {object} [options]
+ * @param {boolean} [options.bypassCache] - Always fetch fresh data (e.g. before deciding on a write).
+ * @param {object} [options.store] - The store to query (from the store registry); defaults to the default store.
+ * @returns {Promise<object>} The `data` field of the GraphQL response.
+ */
+async function fetchShopifyData(graphqlQuery, variables, { bypassCache = false, store = getDefaultStore() } = {}) {
+  // MOCK_MODE: answer from recorded fixtures instead of Shopify (see utils/shopifyMock.js).
+  if (isShopifyMockEnabled()) {
+    recordShopifyQuery(graphqlQuery);
+    return getMockShopifyResponse(graphqlQuery, variables);
+  }
+  if (!store.shopify.storeUrl || !store.shopify.accessToken) {
+    throw new Error(`Shopify URL or Access Token is not configured for store "${store.id}".`);
+  }
+  recordShopifyQuery(graphqlQuery);
+
+  if (isMutation(graphqlQuery)) {
+    const data = await requestShopify(store, graphqlQuery, variables, { retryOnServerError: false });
+    invalidateShopifyCache(store.id);
+    return data;
+  }
+
+  const cacheKey = JSON.stringify({ storeId: store.id, query: graphqlQuery, variables });
+  const now = Date.now();
+  const cached = responseCache.get(cacheKey);
+  if (!bypassCache && cached && cached.expiresAt > now) {
+    return cached.promise;
+  }
+
+  for (const [key, entry] of responseCache) {
+    if (entry.expiresAt <= now) responseCache.delete(key);
   }
 
+  const promise = requestShopify(store, graphqlQuery, variables, { retryOnServerError: true });
+  const entry = { promise, storeId: store.id, expiresAt: now + CACHE_TTL_MS };
+  responseCache.set(cacheKey, entry);
+  promise.catch(() => {
+    if (responseCache.get(cacheKey) === entry) responseCache.delete(cacheKey);
+  });
+  return promise;
+}
+
+/**
+ * Checks that a store's Shopify credentials work by asking for the shop's name. Makes a single
+ * attempt without the cache or retries, and always resolves.
+ * @param {object} store - The store from the store registry.
+ * @returns {Promise<{ok: boolean, latencyMs: number, error: (string|null)}>}
+ */
+async function checkShopifyConnection(store) {
+  if (isShopifyMockEnabled()) return { ok: true, latencyMs: 0, error: null };
+  if (!store.shopify.storeUrl || !store.shopify.accessToken) {
+    return { ok: false, latencyMs: 0, error: "Shopify URL or Access Token is not configured." };
+  }
+  const startedAt = Date.now();
   try {
     const response = await axios.post(
-      SHOPIFY_STORE_URL,
-      { query: graphqlQuery, variables },
+      store.shopify.storeUrl,
+      { query: 'query connectionCheck { shop { name } }' },
       {
         headers: {
           'Content-Type': 'application/json',
-          'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN
-        }
+          'X-Shopify-Access-Token': store.shopify.accessToken
+        },
+        timeout: CONNECTION_CHECK_TIMEOUT_MS
       }
     );
-
-    if (response.data.errors) {
-      console.error("Shopify GraphQL Errors:", response.data.errors);
-      throw new Error(response.data.errors.map(err => err.message).join(', '));
-    }
-
-    return response.data.data;
-
+    const errors = response.data?.errors;
+    return {
+      ok: !errors,
+      latencyMs: Date.now() - startedAt,
+      error: errors ? `Shopify GraphQL errors: ${errors.map(err => err.message).join(', ')}` : null,
+    };
   } catch (error) {
-    console.error("Error calling Shopify GraphQL API:", error.message);
-    if (error.response) {
-      console.error("Shopify API Response Error:", error.response.status, error.response.data);
-      throw new Error(`Shopify API responded with status ${error.response.status}`);
-    }
-    throw new Error(`Network or unexpected error during Shopify API call: ${error.message}`);
+    return {
+      ok: false,
+      latencyMs: Date.now() - startedAt,
+      error: error.response ? `Shopify API responded with status ${error.response.status}` : `Could not reach Shopify: ${error.message}`,
+    };
   }
 }
 
@@ -45,6 +212,7 @@ const ORDER_FRAGMENT = `
     id
     name 
     processedAt
+    cancelledAt
     displayFinancialStatus
     displayFulfillmentStatus
     tags
@@ -60,12 +228,17 @@ const ORDER_FRAGMENT = `
     totalPriceSet { shopMoney { amount, currencyCode } }
     totalDiscountsSet { shopMoney { amount, currencyCode } }
     shippingAddress {
+      firstName
+      lastName
+      company
+      phone
       address1
       address2
       city
       provinceCode
       zip
       country
+      countryCodeV2
     }
     lineItems(first: 250) {
       edges {
@@ -94,18 +267,36 @@ const ORDER_FRAGMENT = `
       }
     }
     fulfillments(first: 10) {
+      id
       createdAt
       displayStatus
-      trackingInfo(first: 1) {
+      inTransitAt
+      deliveredAt
+      estimatedDeliveryAt
+      trackingInfo(first: 10) {
         company
         number
         url
       }
+      events(first: 20, sortKey: HAPPENED_AT) {
+        edges {
+          node {
+            status
+            happenedAt
+            message
+            city
+            province
+          }
+        }
+      }
       fulfillmentLineItems(first: 100) {
         edges {
           node {
+            id
+            quantity
             lineItem {
               id
+              title
             }
           }
         }
@@ -114,6 +305,48 @@ const ORDER_FRAGMENT = `
   }
 `;
 
+// Only what a caller asks about: price, stock and a short description. Inventory quantities need
+// the read_inventory scope; without it Shopify returns null and availableForSale is used instead.
+const PRODUCT_FRAGMENT = `
+  fragment ProductFragment on Product {
+    id
+    title
+    productType
+    description(truncateAt: 160)
+    tracksInventory
+    variants(first: 10) {
+      edges {
+        node {
+          id
+          title
+          sku
+          price
+          availableForSale
+          inventoryQuantity
+          inventoryPolicy
+        }
+      }
+    }
+  }
+`;
+
+// $query uses Shopify's search syntax, e.g. "status:active AND (title:*patch* OR sku:PATCH-RED)".
+const SEARCH_PRODUCTS_QUERY = `
+  ${PRODUCT_FRAGMENT}
+  query searchProducts($query: String!, $first: Int!) {
+    shop {
+      currencyCode
+    }
+    products(first: $first, query: $query, sortKey: RELEVANCE) {
+      edges {
+        node {
+          ...ProductFragment
+        }
+      }
+    }
+  }
+`;
+
 const GET_LATEST_ORDER_BY_CUSTOMER_PHONE_QUERY = `
   ${ORDER_FRAGMENT}
   query getCustomerAndLastOrderByPhone($phoneQuery: String!) {
@@ -150,8 +383,151 @@ const GET_ORDER_BY_ID_QUERY = `
   }
 `;
 
+// Lightweight lookup used to detect phone numbers shared by several customer accounts.
+const FIND_CUSTOMERS_BY_PHONE_QUERY = `
+  query findCustomersByPhone($phoneQuery: String!) {
+    customers(first: 5, query: $phoneQuery) {
+      edges {
+        node {
+          id
+          firstName
+          lastName
+          email
+        }
+      }
+    }
+  }
+`;
+
+// Account-level details for /getCustomerProfile, once FIND_CUSTOMERS_BY_PHONE_QUERY has picked the
+// customer. Only the last order's name and date are needed, not the full order.
+const GET_CUSTOMER_PROFILE_QUERY = `
+  query getCustomerProfile($customerId: ID!) {
+    customer(id: $customerId) {
+      id
+      firstName
+      lastName
+      email
+      createdAt
+      numberOfOrders
+      amountSpent { amount, currencyCode }
+      tags
+      note
+      emailMarketingConsent { marketingState, consentUpdatedAt }
+      smsMarketingConsent { marketingState, consentUpdatedAt }
+      lastOrder {
+        name
+        processedAt
+      }
+    }
+  }
+`;
+
+// Names only, for "did you mean" suggestions when an order number isn't found.
+const FIND_ORDER_NAMES_QUERY = `
+  query findOrderNames($nameQuery: String!) {
+    orders(first: 5, query: $nameQuery) {
+      edges {
+        node {
+          name
+        }
+      }
+    }
+  }
+`;
+
+// Each order pulls up to 250 line items, so keep $first small to stay under Shopify's query cost limit.
+const GET_ORDERS_BY_CUSTOMER_ID_QUERY = `
+  ${ORDER_FRAGMENT}
+  query getOrdersByCustomerId($customerId: ID!, $first: Int!, $after: String) {
+    customer(id: $customerId) {
+      firstName
+      lastName
+      email
+      orders(first: $first, after: $after, sortKey: PROCESSED_AT, reverse: true) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        edges {
+          node {
+            ...OrderFragment
+          }
+        }
+      }
+    }
+  }
+`;
+
+const UPDATE_ORDER_SHIPPING_ADDRESS_MUTATION = `
+  mutation updateOrderShippingAddress($input: OrderInput!) {
+    orderUpdate(input: $input) {
+      order {
+        id
+        name
+        shippingAddress {
+          address1
+          address2
+          city
+          provinceCode
+          zip
+          countryCodeV2
+        }
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const CANCEL_ORDER_MUTATION = `
+  mutation cancelOrder($orderId: ID!, $reason: OrderCancelReason!, $refund: Boolean!, $restock: Boolean!, $notifyCustomer: Boolean, $staffNote: String) {
+    orderCancel(orderId: $orderId, reason: $reason, refund: $refund, restock: $restock, notifyCustomer: $notifyCustomer, staffNote: $staffNote) {
+      job {
+        id
+        done
+      }
+      orderCancelUserErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
+
+// Files a customer return request; the merchant approves or declines it in the Shopify admin.
+const RETURN_REQUEST_MUTATION = `
+  mutation requestReturn($input: ReturnRequestInput!) {
+    returnRequest(input: $input) {
+      return {
+        id
+        name
+        status
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
+
 module.exports = {
   fetchShopifyData,
+  invalidateShopifyCache,
+  checkShopifyConnection,
   GET_LATEST_ORDER_BY_CUSTOMER_PHONE_QUERY,
   GET_ORDER_BY_ID_QUERY,
+  FIND_CUSTOMERS_BY_PHONE_QUERY,
+  GET_ORDERS_BY_CUSTOMER_ID_QUERY,
+  GET_CUSTOMER_PROFILE_QUERY,
+  SEARCH_PRODUCTS_QUERY,
+  FIND_ORDER_NAMES_QUERY,
+  UPDATE_ORDER_SHIPPING_ADDRESS_MUTATION,
+  CANCEL_ORDER_MUTATION,
+  RETURN_REQUEST_MUTATION,
 };
\ No newline at end of file
@@ -0,0 +1,81 @@
+// utils/shopifyMock.js
+
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * With MOCK_MODE=true, fetchShopifyData answers from recorded responses instead of calling Shopify,
+ * so the server and its tests run without credentials. Fixtures live in SHOPIFY_FIXTURES_DIR
+ * (default fixtures/shopify), one JSON file per GraphQL operation name:
+ *
+ * {
+ *   "default": { "orders": { "edges": [] } },
+ *   "responses": [{ "variables": { "nameQuery": "name:1001" }, "data": { "orders": { "edges": [...] } } }]
+ * }
+ *
+ * The first response whose variables all match is returned, otherwise "default". Operations without
+ * a fixture file fail like an unreachable Shopify would. Every request is recorded, so tests can check
+ * what a mutation would have sent.
+ */
+
+const MOCK_MODE = process.env.MOCK_MODE === 'true';
+const FIXTURES_DIR = process.env.SHOPIFY_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures', 'shopify');
+
+const fixturesByOperation = new Map();
+const recordedRequests = [];
+
+const loadFixture = (operationName) => {
+  if (!fixturesByOperation.has(operationName)) {
+    const fixturePath = path.join(FIXTURES_DIR, `${operationName}.json`);
+    fixturesByOperation.set(operationName, fs.existsSync(fixturePath) ? JSON.parse(fs.readFileSync(fixturePath, 'utf8')) : null);
+  }
+  return fixturesByOperation.get(operationName);
+};
+
+/**
+ * Whether Shopify calls are served from fixtures.
+ * @returns {boolean}
+ */
+function isShopifyMockEnabled() {
+  return MOCK_MODE;
+}
+
+/**
+ * Returns the recorded response for a GraphQL operation.
+ * @param {string} graphqlQuery - The GraphQL document that would have been sent.
+ * @param {object} [variables] - The GraphQL variables.
+ * @returns {Promise<object>} A copy of the fixture's `data`, so callers can't change it for later requests.
+ */
+async function getMockShopifyResponse(graphqlQuery, variables = {}) {
+  const operationName = graphqlQuery.match(/\b(?:query|mutation)\s+(\w+)/)?.[1];
+  recordedRequests.push({ operationName: operationName || 'anonymous', variables: JSON.parse(JSON.stringify(variables)) });
+  const fixture = operationName && loadFixture(operationName);
+  if (!fixture) throw new Error(`No Shopify mock fixture for operation "${operationName || 'anonymous'}".`);
+
+  const match = (fixture.responses || []).find(response =>
+    Object.entries(response.variables || {}).every(([name, value]) => JSON.stringify(variables[name]) === JSON.stringify(value)));
+  return JSON.parse(JSON.stringify(match ? match.data : fixture.default ?? null));
+}
+
+/**
+ * Lists the requests answered from fixtures, oldest first.
+ * @returns {Array<{operationName: string, variables: object}>}
+ */
+function getRecordedShopifyRequests() {
+  return [...recordedRequests];
+}
+
+/**
+ * Forgets every recorded request.
+ * @returns {void}
+ */
+function clearRecordedShopifyRequests() {
+  recordedRequests.length = 0;
+}
+
+module.exports = {
+  isShopifyMockEnabled,
+  getMockShopifyResponse,
+  getRecordedShopifyRequests,
+  clearRecordedShopifyRequests,
+};
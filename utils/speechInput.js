@@ -0,0 +1,212 @@
+// utils/speechInput.js
+
+/*
+ * Speech-to-text gives us order and phone numbers as the caller said them: "order one oh four two",
+ * "ten forty-two", "eight hundred five five five one two one two". These helpers turn that into
+ * something Shopify can search for, and list likely mishearings when a lookup comes back empty.
+ */
+
+const DEFAULT_PHONE_COUNTRY = process.env.DEFAULT_PHONE_COUNTRY || 'US';
+const MAX_ORDER_NUMBER_ALTERNATIVES = 10;
+
+const DIGIT_WORDS = { zero: 0, oh: 0, o: 0, nought: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9 };
+const TEEN_WORDS = { ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19 };
+const TENS_WORDS = { twenty: 2, thirty: 3, forty: 4, fourty: 4, fifty: 5, sixty: 6, seventy: 7, eighty: 8, ninety: 9 };
+const REPEAT_WORDS = { double: 2, triple: 3 };
+const SCALE_WIDTHS = { hundred: 2, thousand: 3 };
+
+// Speech-to-text often mixes these up ("fifteen" / "fifty").
+const TEEN_TENS_CONFUSIONS = {
+  thirteen: 'thirty', thirty: 'thirteen', fourteen: 'forty', forty: 'fourteen', fifteen: 'fifty', fifty: 'fifteen',
+  sixteen: 'sixty', sixty: 'sixteen', seventeen: 'seventy', seventy: 'seventeen', eighteen: 'eighty', eighty: 'eighteen',
+  nineteen: 'ninety', ninety: 'nineteen',
+};
+
+// E.164 calling codes for the countries we ship to most. NANP numbers (US, CA) have no trunk prefix.
+const COUNTRY_CALLING_CODES = {
+  US: '1', CA: '1', GB: '44', IE: '353', AU: '61', NZ: '64', DE: '49', FR: '33', ES: '34', IT: '39', NL: '31', IN: '91', MX: '52',
+};
+
+const isNumberToken = (token) => /^\d+$/.test(token) || token in DIGIT_WORDS || token in TEEN_WORDS
+  || token in TENS_WORDS || token in REPEAT_WORDS || token in SCALE_WIDTHS;
+
+const tokenize = (text) => String(text).toLowerCase()
+  .replace(/(\d)([a-z])/g, '$1 $2')
+  .replace(/([a-z])(\d)/g, '$1 $2')
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+const parseNumberTokens = (tokens) => {
+  let digits = '';
+  for (let i = 0; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    const next = tokens[i + 1];
+    if (/^\d+$/.test(token)) {
+      digits += token;
+    } else if (token in REPEAT_WORDS && next !== undefined && (next in DIGIT_WORDS || /^\d$/.test(next))) {
+      digits += String(next in DIGIT_WORDS ? DIGIT_WORDS[next] : next).repeat(REPEAT_WORDS[token]);
+      i += 1;
+    } else if (token in DIGIT_WORDS) {
+      digits += DIGIT_WORDS[token];
+    } else if (token in TEEN_WORDS) {
+      digits += TEEN_WORDS[token];
+    } else if (token in TENS_WORDS) {
+      const unit = DIGIT_WORDS[next];
+      digits += unit > 0 ? `${TENS_WORDS[token]}${unit}` : `${TENS_WORDS[token]}0`;
+      if (unit > 0) i += 1;
+    } else if (token in SCALE_WIDTHS) {
+      const width = SCALE_WIDTHS[token];
+      const rest = tokens.slice(i + 1);
+      // "eight hundred five five five ..." is a phone prefix, while "one hundred five" is a number.
+      const isDigitSequence = rest.length >= 2 && rest[0] in DIGIT_WORDS && rest[1] in DIGIT_WORDS;
+      if (!digits) digits = '1';
+      if (rest.length === 0 || isDigitSequence) {
+        digits += '0'.repeat(width);
+        continue;
+      }
+      const tail = parseNumberTokens(rest);
+      return digits + tail.padStart(width, '0');
+    }
+  }
+  return digits;
+};
+
+/**
+ * Turns spoken or written numbers into a digit string, ignoring any other words.
+ * "one oh four two", "ten forty-two" and "order #1042" all give "1042".
+ * @param {string} text - The caller's words.
+ * @returns {string} The digits, or an empty string if there were none.
+ */
+function spokenToDigits(text) {
+  return parseNumberTokens(tokenize(text).filter(token => isNumberToken(token)));
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Removes the store's order-name prefix and suffix so digits in them aren't read as the order number.
+const stripOrderNameAffixes = (text, { prefix = '#', suffix = '' } = {}) => {
+  let stripped = String(text).trim();
+  const bare = (affix) => affix.replace(/[^a-z0-9]/gi, '');
+  if (bare(prefix)) stripped = stripped.replace(new RegExp(`^[#\\s]*${escapeRegExp(bare(prefix))}[\\s-]*`, 'i'), '');
+  if (bare(suffix)) stripped = stripped.replace(new RegExp(`[\\s-]*${escapeRegExp(bare(suffix))}\\s*$`, 'i'), '');
+  return stripped;
+};
+
+const buildOrderName = (digits, { prefix = '#', suffix = '' } = {}) => ({
+  digits,
+  // Shopify's name: search ignores the leading "#".
+  searchName: `${prefix.replace(/^#/, '')}${digits}${suffix}`,
+  displayName: `${prefix}${digits}${suffix}`,
+});
+
+/**
+ * Parses an order number as the caller said it.
+ * @param {string} input - e.g. "#1042", "order one oh four two" or "PW-1042-US".
+ * @param {object} [orderNumberFormat] - The store's { prefix, suffix } for order names.
+ * @returns {{digits: string, searchName: string, displayName: string}|null}
+ */
+function parseOrderNumber(input, orderNumberFormat) {
+  if (input === undefined || input === null) return null;
+  const digits = spokenToDigits(stripOrderNameAffixes(input, orderNumberFormat));
+  return digits ? buildOrderName(digits, orderNumberFormat) : null;
+}
+
+/**
+ * Lists order numbers the caller may have meant when the one we heard doesn't exist: teen/tens
+ * mix-ups, swapped neighbouring digits and one extra digit.
+ * @param {string} input - The order number as the caller said it.
+ * @param {object} [orderNumberFormat] - The store's { prefix, suffix } for order names.
+ * @returns {Array<{digits: string, searchName: string, displayName: string}>}
+ */
+function getOrderNumberAlternatives(input, orderNumberFormat) {
+  const heard = parseOrderNumber(input, orderNumberFormat);
+  if (!heard) return [];
+  const candidates = new Set();
+
+  const tokens = tokenize(stripOrderNameAffixes(input, orderNumberFormat)).filter(token => isNumberToken(token));
+  tokens.forEach((token, index) => {
+    if (TEEN_TENS_CONFUSIONS[token]) {
+      candidates.add(parseNumberTokens([...tokens.slice(0, index), TEEN_TENS_CONFUSIONS[token], ...tokens.slice(index + 1)]));
+    }
+  });
+
+  const { digits } = heard;
+  for (let i = 0; i < digits.length - 1; i += 1) {
+    if (digits[i] !== digits[i + 1]) candidates.add(digits.slice(0, i) + digits[i + 1] + digits[i] + digits.slice(i + 2));
+  }
+  if (digits.length > 3) {
+    for (let i = 0; i < digits.length; i += 1) candidates.add(digits.slice(0, i) + digits.slice(i + 1));
+  }
+
+  candidates.delete(digits);
+  return [...candidates]
+    .filter(candidate => candidate && !candidate.startsWith('0'))
+    .slice(0, MAX_ORDER_NUMBER_ALTERNATIVES)
+    .map(candidate => buildOrderName(candidate, orderNumberFormat));
+}
+
+// An extension at the end of a number ("ext 89", "extension eight nine", "x89", "#89"). The "x" must
+// not follow a letter, so the "x" in a spoken "six" isn't taken for one.
+const PHONE_EXTENSION_PATTERN = /\s*[,;]?\s*(?:\bext(?:ension)?\b\.?|(?<![a-z])x|#)\s*[\w\s.-]+$/i;
+
+/**
+ * Converts a phone number, typed or spoken, to E.164 ("+15551234567"). Extensions are dropped.
+ * @param {string} input - e.g. "555-123-4567", "+44 20 7946 0958", "+1 (555) 123-4567 ext 89" or "five five five one two three ...".
+ * @param {string} [defaultCountry] - ISO country code used when the caller gave no country code.
+ * @returns {string|null} The E.164 number, or null if it can't be a valid number.
+ */
+function normalizePhoneNumber(input, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+  if (!input || typeof input !== 'string') return null;
+  const trimmed = input.trim().replace(PHONE_EXTENSION_PATTERN, '');
+  let digits = spokenToDigits(trimmed);
+  const callingCode = COUNTRY_CALLING_CODES[String(defaultCountry).toUpperCase()] || COUNTRY_CALLING_CODES[DEFAULT_PHONE_COUNTRY];
+
+  if (/^(\+|plus\b)/i.test(trimmed)) {
+    // Already international.
+  } else if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (callingCode === '1') {
+    if (digits.startsWith('011')) digits = digits.slice(3);
+    else if (digits.length === 10) digits = `1${digits}`;
+    else if (!(digits.length === 11 && digits.startsWith('1'))) return null;
+  } else if (digits.startsWith('0')) {
+    digits = callingCode + digits.slice(1);
+  } else if (!digits.startsWith(callingCode) || digits.length < 10) {
+    digits = callingCode + digits;
+  }
+
+  if (digits.length < 8 || digits.length > 15) return null;
+  return `+${digits}`;
+}
+
+/**
+ * The forms of an E.164 number to try in Shopify's phone: search, best first. Older customer
+ * records are sometimes saved without the country code.
+ * @param {string} e164 - From normalizePhoneNumber.
+ * @returns {string[]}
+ */
+function getPhoneSearchCandidates(e164) {
+  const candidates = [e164];
+  const callingCode = Object.values(COUNTRY_CALLING_CODES).find(code => e164.startsWith(`+${code}`));
+  if (callingCode) candidates.push(e164.slice(callingCode.length + 1));
+  return candidates;
+}
+
+/**
+ * The last ten digits of a phone number, for matching numbers saved in different formats
+ * ("+1 555-123-4567" and "5551234567" match).
+ * @param {string} [phone]
+ * @returns {string} Up to ten digits; empty when there are none.
+ */
+function phoneDigits(phone) {
+  return (phone || '').replace(/\D/g, '').slice(-10);
+}
+
+module.exports = {
+  spokenToDigits,
+  parseOrderNumber,
+  getOrderNumberAlternatives,
+  normalizePhoneNumber,
+  getPhoneSearchCandidates,
+  phoneDigits,
+};
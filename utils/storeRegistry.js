@@ -0,0 +1,176 @@
+// utils/storeRegistry.js
+
+const fs = require('fs');
+const { phoneDigits } = require('./speechInput');
+
+/*
+ * Stores are configured with STORES_CONFIG (inline JSON) or STORES_CONFIG_PATH (path to a JSON file):
+ *
+ * [
+ *   {
+ *     "id": "patches",
+ *     "shopify": { "storeUrl": "https://patches.myshopify.com/admin/api/2024-10/graphql.json", "accessToken": "...", "webhookSecret": "..." },
+ *     "email": { "senderEmail": "orders@patches.example", "supportTeamEmail": "support@patches.example", "locale": "en" },
+ *     "branding": { "displayName": "Patch Works", "supportPhone": "+18005550100", "locale": "en-CA", "timeZone": "America/Toronto" },
+ *     "phoneNumbers": ["+18005550100"],
+ *     "phoneCountry": "CA",
+ *     "orderNumberFormat": { "prefix": "PW", "suffix": "-CA" }
+ *   }
+ * ]
+ *
+ * Without either variable, a single "default" store is built from the original SHOPIFY_* and
+ * *_EMAIL environment variables so existing single-store deployments keep working.
+ */
+
+const shopDomainFromUrl = (storeUrl) => {
+  try {
+    return new URL(storeUrl).hostname;
+  } catch {
+    return null;
+  }
+};
+
+const normalizeStore = (config) => ({
+  id: config.id,
+  shopify: {
+    storeUrl: config.shopify?.storeUrl || null,
+    accessToken: config.shopify?.accessToken || null,
+    webhookSecret: config.shopify?.webhookSecret || null,
+    // Lowercased like the X-Shopify-Shop-Domain header is when webhooks are matched to a store.
+    shopDomain: config.shopify?.shopDomain?.toLowerCase() || shopDomainFromUrl(config.shopify?.storeUrl),
+  },
+  email: {
+    senderEmail: config.email?.senderEmail || null,
+    supportTeamEmail: config.email?.supportTeamEmail || null,
+    locale: config.email?.locale || process.env.EMAIL_LOCALE || 'en',
+  },
+  branding: {
+    displayName: config.branding?.displayName || null,
+    supportPhone: config.branding?.supportPhone || null,
+    locale: config.branding?.locale || null,
+    timeZone: config.branding?.timeZone || null,
+  },
+  phoneNumbers: config.phoneNumbers || [],
+  phoneCountry: config.phoneCountry || process.env.DEFAULT_PHONE_COUNTRY || 'US',
+  orderNumberFormat: {
+    prefix: config.orderNumberFormat?.prefix ?? '#',
+    suffix: config.orderNumberFormat?.suffix ?? '',
+  },
+  shippingRules: config.shippingRules || null,
+  returnPolicy: config.returnPolicy || null,
+  callbackSchedule: config.callbackSchedule || null,
+  loyalty: config.loyalty || null,
+});
+
+const loadStoreConfigs = () => {
+  let raw = process.env.STORES_CONFIG;
+  if (!raw && process.env.STORES_CONFIG_PATH) {
+    raw = fs.readFileSync(process.env.STORES_CONFIG_PATH, 'utf8');
+  }
+  if (raw) {
+    const configs = JSON.parse(raw);
+    if (!Array.isArray(configs) || configs.length === 0 || configs.some(config => !config.id)) {
+      throw new Error("Store configuration must be a non-empty array of stores, each with an id.");
+    }
+    return configs;
+  }
+  return [{
+    id: 'default',
+    shopify: {
+      storeUrl: process.env.SHOPIFY_STORE_URL,
+      accessToken: process.env.SHOPIFY_ACCESS_TOKEN,
+      webhookSecret: process.env.SHOPIFY_WEBHOOK_SECRET,
+    },
+    email: {
+      senderEmail: process.env.SENDER_EMAIL,
+      supportTeamEmail: process.env.SUPPORT_TEAM_EMAIL,
+    },
+    branding: {},
+    phoneNumbers: [],
+  }];
+};
+
+const stores = new Map(loadStoreConfigs().map(config => [config.id, normalizeStore(config)]));
+const DEFAULT_STORE_ID = process.env.DEFAULT_STORE_ID || stores.keys().next().value;
+
+if (!stores.has(DEFAULT_STORE_ID)) {
+  throw new Error(`DEFAULT_STORE_ID "${DEFAULT_STORE_ID}" does not match any configured store.`);
+}
+
+/**
+ * Returns the store the middleware falls back to when a request doesn't pick one.
+ * @returns {object}
+ */
+function getDefaultStore() {
+  return stores.get(DEFAULT_STORE_ID);
+}
+
+/**
+ * Lists every configured store.
+ * @returns {object[]}
+ */
+function getAllStores() {
+  return [...stores.values()];
+}
+
+/**
+ * Looks up a store by its ID.
+ * @param {string} storeId - The configured store ID.
+ * @returns {object|null}
+ */
+function getStoreById(storeId) {
+  return stores.get(storeId) || null;
+}
+
+/**
+ * Finds the store that owns a phone number the caller dialed.
+ * @param {string} dialedNumber - The number the caller dialed, in any format.
+ * @returns {object|null}
+ */
+function getStoreByDialedNumber(dialedNumber) {
+  const digits = phoneDigits(dialedNumber);
+  if (digits.length !== 10) return null;
+  for (const store of stores.values()) {
+    if (store.phoneNumbers.some(number => phoneDigits(number) === digits)) return store;
+  }
+  return null;
+}
+
+/**
+ * Finds the store a Shopify webhook came from, using the X-Shopify-Shop-Domain header.
+ * @param {string} shopDomain - e.g. "patches.myshopify.com".
+ * @returns {object|null}
+ */
+function getStoreByShopDomain(shopDomain) {
+  if (!shopDomain) return null;
+  for (const store of stores.values()) {
+    if (store.shopify.shopDomain === shopDomain.toLowerCase()) return store;
+  }
+  return null;
+}
+
+/**
+ * Works out which store a request is for. An explicit store ID (X-Store-Id header or `storeId`
+ * field) wins, then the dialed number (X-Dialed-Number header or `dialedNumber` field), then the
+ * default store.
+ * @param {import('express').Request} req - The incoming request.
+ * @returns {{store: (object|null), error: (string|null)}}
+ */
+function resolveStoreForRequest(req) {
+  const storeId = req.get('X-Store-Id') || req.body?.storeId;
+  if (storeId) {
+    const store = getStoreById(storeId);
+    return store ? { store, error: null } : { store: null, error: `Unknown store: ${storeId}` };
+  }
+  const dialedNumber = req.get('X-Dialed-Number') || req.body?.dialedNumber;
+  return { store: getStoreByDialedNumber(dialedNumber) || getDefaultStore(), error: null };
+}
+
+module.exports = {
+  getDefaultStore,
+  getAllStores,
+  getStoreById,
+  getStoreByDialedNumber,
+  getStoreByShopDomain,
+  resolveStoreForRequest,
+};
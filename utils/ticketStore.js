@@ -0,0 +1,106 @@
+// utils/ticketStore.js
+
+const crypto = require('crypto');
+const { createJsonFileStore } = require('./jsonFileStore');
+const { phoneDigits } = require('./speechInput');
+
+const ticketStore = createJsonFileStore('tickets.json', () => []);
+
+// No 0/O or 1/I so ticket IDs are easy to read out and type back in.
+const TICKET_ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const TICKET_STATUSES = ['OPEN', 'IN_PROGRESS', 'RESOLVED', 'CLOSED'];
+
+const normalizeOrderNumber = (value) => (value || '').replace('#', '').trim();
+// Accepts "T-ABC234", "t abc234" or just "ABC234".
+const normalizeTicketId = (value) => {
+  const cleaned = (value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return cleaned.length === 7 && cleaned.startsWith('T') ? cleaned.slice(1) : cleaned;
+};
+
+const generateTicketId = (existing) => {
+  let id;
+  do {
+    id = 'T-' + Array.from({ length: 6 }, () => TICKET_ID_ALPHABET[crypto.randomInt(TICKET_ID_ALPHABET.length)]).join('');
+  } while (existing.some(ticket => ticket.ticketId === id));
+  return id;
+};
+
+/**
+ * Saves a new support ticket for a request the agent has filed.
+ * @param {object} details - The ticket details.
+ * @param {string} details.storeId - The store the request is for.
+ * @param {('ESCALATION'|'ADDRESS_CHANGE'|'CANCELLATION'|'RETURN'|'EXCHANGE')} details.type - What kind of request this is.
+ * @param {string} [details.phoneNumber] - The caller's phone number.
+ * @param {string} [details.orderNumber] - The related order, if any.
+ * @param {string} [details.customerEmail] - The customer's email address.
+ * @param {object} details.payload - The original request payload.
+ * @param {string} [details.status='OPEN'] - The initial status.
+ * @returns {Promise<object>} The stored ticket.
+ */
+async function createTicket({ storeId, type, phoneNumber, orderNumber, customerEmail, payload, status = 'OPEN' }) {
+  const tickets = await ticketStore.load();
+  const now = new Date().toISOString();
+  const ticket = {
+    ticketId: generateTicketId(tickets),
+    storeId,
+    type,
+    status,
+    phoneNumber: phoneNumber || null,
+    orderNumber: orderNumber || null,
+    customerEmail: customerEmail || null,
+    payload,
+    history: [{ status, at: now }],
+    createdAt: now,
+    updatedAt: now,
+  };
+  await ticketStore.save([...tickets, ticket]);
+  return ticket;
+}
+
+/**
+ * Moves a ticket to a new status and records the change in its history.
+ * @param {string} ticketId - The ticket to update.
+ * @param {string} status - One of OPEN, IN_PROGRESS, RESOLVED, CLOSED.
+ * @param {string} [note] - Why the status changed.
+ * @returns {Promise<object|null>} The updated ticket, or null if it doesn't exist.
+ */
+async function updateTicketStatus(ticketId, status, note) {
+  if (!TICKET_STATUSES.includes(status)) throw new Error(`Invalid ticket status: ${status}`);
+  const tickets = await ticketStore.load();
+  const ticket = tickets.find(entry => normalizeTicketId(entry.ticketId) === normalizeTicketId(ticketId));
+  if (!ticket) return null;
+  const now = new Date().toISOString();
+  ticket.status = status;
+  ticket.updatedAt = now;
+  ticket.history.push({ status, at: now, ...(note ? { note } : {}) });
+  await ticketStore.save(tickets);
+  return ticket;
+}
+
+/**
+ * Looks up tickets by ticket ID, phone number or order number. Any combination may be given.
+ * @param {object} criteria
+ * @param {string} criteria.storeId - Only tickets for this store are returned.
+ * @param {string} [criteria.ticketId] - The ticket ID (with or without the "T-" prefix).
+ * @param {string} [criteria.phone] - The caller's phone number.
+ * @param {string} [criteria.orderNumber] - The related order number.
+ * @returns {Promise<object[]>} Matching tickets, newest first.
+ */
+async function findTickets({ storeId, ticketId, phone, orderNumber }) {
+  const tickets = await ticketStore.load();
+  const digits = phoneDigits(phone);
+  return tickets
+    .filter(ticket => ticket.storeId === storeId)
+    .filter(ticket =>
+      (ticketId && normalizeTicketId(ticket.ticketId) === normalizeTicketId(ticketId)) ||
+      (digits.length === 10 && phoneDigits(ticket.phoneNumber) === digits) ||
+      (orderNumber && normalizeOrderNumber(ticket.orderNumber) === normalizeOrderNumber(orderNumber)))
+    .reverse();
+}
+
+module.exports = {
+  TICKET_STATUSES,
+  createTicket,
+  updateTicketStatus,
+  findTickets,
+};
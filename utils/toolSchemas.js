@@ -0,0 +1,340 @@
+// utils/toolSchemas.js
+
+/*
+ * One definition per agent-callable endpoint. The same schema validates incoming requests and is
+ * published at GET /tools as OpenAI-style function definitions, so voice platform tool configs
+ * never drift from what server.js actually accepts.
+ *
+ * `requiredMessage` is returned when a required field is missing, and `requireAnyOf` lists groups of
+ * fields where at least one must be present (JSON Schema's anyOf isn't supported by every platform).
+ * `scope` is the API client scope needed to call the tool: "read" for lookups, "write" for anything
+ * that emails support, books a callback or changes an order.
+ */
+
+const verificationTokenProperty = {
+  type: 'string',
+  description: "The token returned by verifyCaller. Without it, personal and payment details are withheld.",
+};
+
+// Endpoints that read out money and dates format them for the caller; the store's defaults apply when omitted.
+const formattingProperties = {
+  locale: { type: 'string', description: "The caller's locale for money and dates, e.g. \"en-CA\" or \"fr-FR\"." },
+  timeZone: { type: 'string', description: "The caller's IANA timezone, e.g. \"America/Toronto\"." },
+  format: {
+    type: 'string',
+    enum: ['display', 'spoken'],
+    description: "\"spoken\" writes money and dates the way they should be read aloud, e.g. \"twenty-four dollars and ninety-nine cents\".",
+  },
+};
+
+const TOOL_DEFINITIONS = {
+  getOrderByPhone: {
+    path: '/getOrderByPhone',
+    scope: 'read',
+    description: "Look up the most recent order for the caller's phone number.",
+    parameters: {
+      type: 'object',
+      properties: {
+        phone: { type: 'string', description: "The caller's phone number, including country code if known." },
+        verificationToken: verificationTokenProperty,
+        ...formattingProperties,
+      },
+      required: ['phone'],
+    },
+    requiredMessage: "Phone number is required.",
+  },
+  getOrdersByPhone: {
+    path: '/getOrdersByPhone',
+    scope: 'read',
+    description: "List the caller's recent orders, newest first, with a one-sentence summary of each.",
+    parameters: {
+      type: 'object',
+      properties: {
+        phone: { type: 'string', description: "The caller's phone number." },
+        limit: { type: 'integer', description: "How many orders to return (1-5)." },
+        cursor: { type: 'string', description: "The nextCursor from a previous page, to fetch older orders." },
+        customerEmail: { type: 'string', description: "The account email, when the phone number matches several customers." },
+        customerId: { type: 'string', description: "A customerId returned when the phone number matched several customers." },
+        verificationToken: verificationTokenProperty,
+        ...formattingProperties,
+      },
+      required: ['phone'],
+    },
+    requiredMessage: "Phone number is required.",
+  },
+  getCustomerProfile: {
+    path: '/getCustomerProfile',
+    scope: 'read',
+    description: "Look up the caller's customer account: how many orders they have placed, lifetime spend, tags, account notes, marketing consent and open support requests. Use it to tell a first-time buyer from a VIP. Until the caller is verified, only their first name and segment come back.",
+    parameters: {
+      type: 'object',
+      properties: {
+        phone: { type: 'string', description: "The caller's phone number." },
+        customerEmail: { type: 'string', description: "The account email, when the phone number matches several customers." },
+        customerId: { type: 'string', description: "A customerId returned when the phone number matched several customers." },
+        verificationToken: verificationTokenProperty,
+        ...formattingProperties,
+      },
+      required: ['phone'],
+    },
+    requiredMessage: "Phone number is required.",
+  },
+  getOrderById: {
+    path: '/getOrderById',
+    scope: 'read',
+    description: "Look up an order by its order number.",
+    parameters: {
+      type: 'object',
+      properties: {
+        orderNumber: { type: 'string', description: "The order number, e.g. \"1042\" or \"#1042\"." },
+        verificationToken: verificationTokenProperty,
+        ...formattingProperties,
+      },
+      required: ['orderNumber'],
+    },
+    requiredMessage: "Order number is required.",
+  },
+  searchProducts: {
+    path: '/searchProducts',
+    scope: 'read',
+    description: "Search the product catalog by name, SKU or product type to answer questions about price and stock.",
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: "Words from the product name, e.g. \"red dragon patch\"." },
+        sku: { type: 'string', description: "An exact SKU, if the caller has one." },
+        productType: { type: 'string', description: "A product type, e.g. \"Embroidered Patches\"." },
+        limit: { type: 'integer', description: "How many products to return (1-5)." },
+        ...formattingProperties,
+      },
+      required: [],
+    },
+    requireAnyOf: [['query', 'sku', 'productType']],
+    requiredMessage: "A search term, SKU, or product type is required.",
+  },
+  verifyCaller: {
+    path: '/verifyCaller',
+    scope: 'read',
+    description: "Verify the caller owns an order by checking their email, ZIP code or last name against it. Returns a verificationToken.",
+    parameters: {
+      type: 'object',
+      properties: {
+        orderNumber: { type: 'string', description: "The order number the caller gave." },
+        email: { type: 'string', description: "The email address the caller says is on the order." },
+        zip: { type: 'string', description: "The shipping ZIP or postal code the caller gave." },
+        lastName: { type: 'string', description: "The caller's last name." },
+      },
+      required: ['orderNumber'],
+    },
+    requireAnyOf: [['email', 'zip', 'lastName']],
+    requiredMessage: "An order number and at least one of email, ZIP code, or last name are required for verification.",
+  },
+  getCallbackSlots: {
+    path: '/getCallbackSlots',
+    scope: 'read',
+    description: "List the times the support team can call the caller back, so they can pick one before escalateToSupport.",
+    parameters: {
+      type: 'object',
+      properties: {
+        ...formattingProperties,
+        limit: { type: 'integer', description: "How many of the soonest slots to return (1-10, default 3)." },
+      },
+      required: [],
+    },
+  },
+  escalateToSupport: {
+    path: '/escalateToSupport',
+    scope: 'write',
+    description: "Hand the conversation to the human support team by email when the agent can't resolve the issue, optionally booking a callback.",
+    parameters: {
+      type: 'object',
+      properties: {
+        customerName: { type: 'string', description: "The caller's full name." },
+        customerEmail: { type: 'string', description: "The caller's email address, if known." },
+        orderNumber: { type: 'string', description: "The related order number, if any." },
+        phoneNumber: { type: 'string', description: "The caller's phone number." },
+        issueSummary: { type: 'string', description: "A concise summary of the caller's issue and what has been tried." },
+        transcript: { type: 'string', description: "The full call transcript so far, if available. It is attached to the support email." },
+        recordingUrl: { type: 'string', description: "A link to the call recording, if available." },
+        callbackSlot: { type: 'string', description: "The slotId of the callback time the caller picked from getCallbackSlots, if they want a call back." },
+        ...formattingProperties,
+      },
+      required: ['customerName', 'phoneNumber', 'issueSummary'],
+    },
+    requiredMessage: "An issue summary, customer name, and phone number are required for escalation.",
+  },
+  requestCancellation: {
+    path: '/requestCancellation',
+    scope: 'write',
+    description: "Check whether an order can be cancelled and, if so, cancel it or send the request to support.",
+    parameters: {
+      type: 'object',
+      properties: {
+        orderNumber: { type: 'string', description: "The order to cancel." },
+        customerName: { type: 'string', description: "The caller's full name." },
+        customerEmail: { type: 'string', description: "The caller's email address, if known." },
+        phoneNumber: { type: 'string', description: "The caller's phone number." },
+        cancellationReason: { type: 'string', description: "Why the caller wants to cancel." },
+        verificationToken: verificationTokenProperty,
+      },
+      required: ['orderNumber', 'customerName', 'phoneNumber'],
+    },
+    requiredMessage: "Order number, customer name, and phone number are required for a cancellation request.",
+  },
+  requestAddressChange: {
+    path: '/requestAddressChange',
+    scope: 'write',
+    description: "Change the shipping address on an order, or send the change to support if it can't be applied automatically.",
+    parameters: {
+      type: 'object',
+      properties: {
+        orderNumber: { type: 'string', description: "The order to update." },
+        customerName: { type: 'string', description: "The caller's full name." },
+        customerEmail: { type: 'string', description: "The caller's email address, if known." },
+        phoneNumber: { type: 'string', description: "The caller's phone number." },
+        oldAddressDetails: { type: 'string', description: "The shipping address currently on the order." },
+        newAddressDetails: { type: 'string', description: "The full new address: street, unit, city, state or province, ZIP or postal code." },
+        verificationToken: verificationTokenProperty,
+      },
+      required: ['orderNumber', 'customerName', 'phoneNumber', 'oldAddressDetails', 'newAddressDetails'],
+    },
+    requiredMessage: "Order number, customer name, phone number, old address, and new address details are required.",
+  },
+  requestReturn: {
+    path: '/requestReturn',
+    scope: 'write',
+    description: "List the items on an order that can be returned or exchanged and, once the caller picks items, start the return.",
+    parameters: {
+      type: 'object',
+      properties: {
+        orderNumber: { type: 'string', description: "The order the items came from." },
+        customerName: { type: 'string', description: "The caller's full name." },
+        customerEmail: { type: 'string', description: "The caller's email address, if known." },
+        phoneNumber: { type: 'string', description: "The caller's phone number." },
+        items: {
+          type: 'array',
+          items: { type: 'string' },
+          description: "Names of the items to return, as listed by a previous call. Leave out to list the returnable items first.",
+        },
+        requestType: { type: 'string', enum: ['RETURN', 'EXCHANGE'], description: "Whether the caller wants a refund or an exchange. Defaults to RETURN." },
+        reasonCode: {
+          type: 'string',
+          enum: ['DEFECTIVE', 'WRONG_ITEM', 'NOT_AS_DESCRIBED', 'SIZE_TOO_SMALL', 'SIZE_TOO_LARGE', 'UNWANTED', 'OTHER'],
+          description: "The closest match to the caller's reason.",
+        },
+        returnReason: { type: 'string', description: "The caller's reason in their own words." },
+        exchangeDetails: { type: 'string', description: "For exchanges, what the caller wants instead (size, color, product)." },
+        verificationToken: verificationTokenProperty,
+        ...formattingProperties,
+      },
+      required: ['orderNumber', 'customerName', 'phoneNumber'],
+    },
+    requiredMessage: "Order number, customer name, and phone number are required for a return request.",
+  },
+  getTicketStatus: {
+    path: '/getTicketStatus',
+    scope: 'read',
+    description: "Look up the status of the caller's earlier support requests by reference number, phone number or order number.",
+    parameters: {
+      type: 'object',
+      properties: {
+        ticketId: { type: 'string', description: "The reference number given to the caller, e.g. \"T-ABC234\"." },
+        phone: { type: 'string', description: "The caller's phone number." },
+        orderNumber: { type: 'string', description: "The related order number." },
+      },
+      required: [],
+    },
+    requireAnyOf: [['ticketId', 'phone', 'orderNumber']],
+    requiredMessage: "A ticket ID, phone number, or order number is required.",
+  },
+};
+
+const isPresent = (value) => value !== undefined && value !== null && value !== '';
+
+// LLMs often send numbers for string fields ("orderNumber": 1042) and vice versa, so coerce
+// scalars to the declared type before checking.
+const coerceValue = (value, type) => {
+  if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) return String(value);
+  if (type === 'integer' && typeof value === 'string' && /^-?\d+$/.test(value.trim())) return parseInt(value, 10);
+  if (type === 'array' && typeof value === 'string') return [value];
+  return value;
+};
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && !isNaN(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    default: return true;
+  }
+};
+
+/**
+ * Returns the definition for a tool.
+ * @param {string} toolName - e.g. "getOrderById".
+ * @returns {object|null}
+ */
+function getToolDefinition(toolName) {
+  // Tool names come from voice platforms, so "toString" must not find Object.prototype's.
+  return Object.hasOwn(TOOL_DEFINITIONS, toolName) ? TOOL_DEFINITIONS[toolName] : null;
+}
+
+/**
+ * Validates (and coerces) tool arguments against the tool's schema.
+ * Unknown properties are passed through untouched.
+ * @param {string} toolName - The tool being called.
+ * @param {object} args - The request body or tool-call arguments.
+ * @returns {{args: object, error: (string|null)}} The coerced arguments, or the first validation error.
+ */
+function validateToolArguments(toolName, args) {
+  const tool = getToolDefinition(toolName);
+  if (!tool) return { args, error: `Unknown tool: ${toolName}` };
+  if (args !== undefined && (typeof args !== 'object' || args === null || Array.isArray(args))) {
+    return { args: {}, error: "Request body must be a JSON object." };
+  }
+
+  const coerced = { ...(args || {}) };
+  const { properties, required } = tool.parameters;
+
+  for (const [name, schema] of Object.entries(properties)) {
+    if (!isPresent(coerced[name])) continue;
+    coerced[name] = coerceValue(coerced[name], schema.type);
+    if (!matchesType(coerced[name], schema.type)) {
+      return { args: coerced, error: `Invalid value for ${name}: expected ${schema.type}.` };
+    }
+    if (schema.enum && !schema.enum.includes(coerced[name])) {
+      return { args: coerced, error: `Invalid value for ${name}: expected one of ${schema.enum.join(', ')}.` };
+    }
+  }
+
+  const missingRequired = required.some(name => !isPresent(coerced[name]));
+  const missingAnyOf = (tool.requireAnyOf || []).some(group => !group.some(name => isPresent(coerced[name])));
+  if (missingRequired || missingAnyOf) {
+    return { args: coerced, error: tool.requiredMessage };
+  }
+
+  return { args: coerced, error: null };
+}
+
+/**
+ * Lists every tool as an OpenAI-style function definition.
+ * @returns {object[]}
+ */
+function getOpenAIToolManifest() {
+  return Object.entries(TOOL_DEFINITIONS).map(([name, tool]) => ({
+    type: 'function',
+    function: {
+      name,
+      description: tool.description,
+      parameters: tool.parameters,
+    },
+  }));
+}
+
+module.exports = {
+  getToolDefinition,
+  validateToolArguments,
+  getOpenAIToolManifest,
+};
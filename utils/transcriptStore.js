@@ -0,0 +1,24 @@
+// utils/transcriptStore.js
+
+const fs = require('fs/promises');
+const path = require('path');
+const { DATA_DIR } = require('./jsonFileStore');
+
+const TRANSCRIPTS_DIR = path.join(DATA_DIR, 'transcripts');
+
+/**
+ * Saves a call transcript alongside the ticket it belongs to.
+ * @param {string} ticketId - The ticket the transcript was submitted with.
+ * @param {string} transcript - The full call transcript.
+ * @returns {Promise<string>} The file name the transcript was stored under.
+ */
+async function saveTranscript(ticketId, transcript) {
+  const fileName = `${ticketId}.txt`;
+  await fs.mkdir(TRANSCRIPTS_DIR, { recursive: true });
+  await fs.writeFile(path.join(TRANSCRIPTS_DIR, fileName), transcript);
+  return fileName;
+}
+
+module.exports = {
+  saveTranscript,
+};
@@ -0,0 +1,70 @@
+// utils/voicePlatforms.js
+
+/*
+ * Adapters for the tool-call webhooks sent by voice agent platforms. Each adapter turns the
+ * platform's envelope into a list of { toolCallId, name, args, callId } and turns our endpoint
+ * responses back into the shape that platform expects.
+ */
+
+const parseArguments = (value) => {
+  if (typeof value !== 'string') return value || {};
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+};
+
+const PLATFORM_ADAPTERS = {
+  // Vapi: { message: { type: 'tool-calls', call: { id }, toolCallList: [{ id, function: { name, arguments } }] } }
+  vapi: {
+    parseToolCalls: (body) => (body?.message?.toolCallList || body?.message?.toolCalls || []).map(toolCall => ({
+      toolCallId: toolCall.id,
+      name: toolCall.function?.name,
+      args: parseArguments(toolCall.function?.arguments),
+      callId: body.message.call?.id || null,
+    })),
+    // Vapi reads `result` as a string and speaks from it; `error` marks a failed call.
+    formatResponse: (results) => ({
+      results: results.map(({ toolCallId, statusCode, body }) => statusCode < 400
+        ? { toolCallId, result: JSON.stringify(body) }
+        : { toolCallId, error: body?.error || JSON.stringify(body) }),
+    }),
+  },
+  // Retell custom functions: { name, args, call: { call_id } }, one call per request.
+  retell: {
+    parseToolCalls: (body) => body?.name ? [{
+      toolCallId: body.call?.call_id || null,
+      name: body.name,
+      args: parseArguments(body.args),
+      callId: body.call?.call_id || null,
+    }] : [],
+    formatResponse: (results) => results[0]?.body ?? {},
+  },
+  // Plain OpenAI tool calls, for platforms that forward the model's tool_calls array unchanged.
+  openai: {
+    parseToolCalls: (body) => (body?.tool_calls || []).map(toolCall => ({
+      toolCallId: toolCall.id,
+      name: toolCall.function?.name,
+      args: parseArguments(toolCall.function?.arguments),
+      callId: body.call_id || null,
+    })),
+    formatResponse: (results) => ({
+      tool_outputs: results.map(({ toolCallId, body }) => ({ tool_call_id: toolCallId, output: JSON.stringify(body) })),
+    }),
+  },
+};
+
+/**
+ * Returns the adapter for a voice platform.
+ * @param {string} platform - One of "vapi", "retell" or "openai".
+ * @returns {{parseToolCalls: Function, formatResponse: Function}|null}
+ */
+function getPlatformAdapter(platform) {
+  // Own properties only, so "/voice/constructor" is an unknown platform rather than Object.prototype's.
+  return Object.hasOwn(PLATFORM_ADAPTERS, platform) ? PLATFORM_ADAPTERS[platform] : null;
+}
+
+module.exports = {
+  getPlatformAdapter,
+};
@@ -0,0 +1,180 @@
+// utils/webhookEvents.js
+
+const crypto = require('crypto');
+const { createJsonFileStore } = require('./jsonFileStore');
+const { phoneDigits } = require('./speechInput');
+
+// Only recent history matters to the agent, so the file is kept small.
+const MAX_STORED_EVENTS = 500;
+const EVENT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const eventStore = createJsonFileStore('webhook-events.json', () => []);
+
+// Deliveries being handled right now. An event is only recorded once the customer has been
+// notified, so without this a redelivery arriving mid-send would email them a second time.
+const inFlightWebhookIds = new Set();
+
+// Carrier statuses worth emailing the customer about; other fulfillment updates are only recorded.
+const NOTIFIABLE_SHIPMENT_STATUSES = new Set(['in_transit', 'out_for_delivery', 'delivered', 'attempted_delivery', 'failure']);
+
+/**
+ * Verifies the X-Shopify-Hmac-Sha256 header against the raw request body.
+ * @param {Buffer} rawBody - The unparsed request body.
+ * @param {string} hmacHeader - The base64 HMAC sent by Shopify.
+ * @param {string} webhookSecret - The store's webhook signing secret.
+ * @returns {boolean}
+ */
+function verifyShopifyWebhook(rawBody, hmacHeader, webhookSecret) {
+  if (!webhookSecret) {
+    console.error("No webhook secret is configured for this store; rejecting webhook.");
+    return false;
+  }
+  if (!Buffer.isBuffer(rawBody) || !hmacHeader) return false;
+  const expected = crypto.createHmac('sha256', webhookSecret).update(rawBody).digest();
+  const received = Buffer.from(hmacHeader, 'base64');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Returns true if a webhook delivery with this ID has already been recorded (Shopify retries deliveries).
+ * @param {string} webhookId - The X-Shopify-Webhook-Id header.
+ * @returns {Promise<boolean>}
+ */
+async function hasWebhookEvent(webhookId) {
+  if (!webhookId) return false;
+  const stored = await eventStore.load();
+  return stored.some(event => event.webhookId === webhookId);
+}
+
+/**
+ * Claims a webhook delivery for processing, so concurrent redeliveries of it are turned away.
+ * The check and the claim happen without yielding, so two requests can't both get "claimed".
+ * Release the claim with releaseWebhookEvent once the event is recorded or processing has failed.
+ * @param {string} [webhookId] - The X-Shopify-Webhook-Id header. Deliveries without one can't be deduplicated.
+ * @returns {Promise<('claimed'|'in_progress'|'duplicate')>}
+ */
+async function claimWebhookEvent(webhookId) {
+  if (!webhookId) return 'claimed';
+  if (inFlightWebhookIds.has(webhookId)) return 'in_progress';
+  inFlightWebhookIds.add(webhookId);
+  if (await hasWebhookEvent(webhookId)) {
+    inFlightWebhookIds.delete(webhookId);
+    return 'duplicate';
+  }
+  return 'claimed';
+}
+
+/**
+ * Releases a claim taken by claimWebhookEvent.
+ * @param {string} [webhookId] - The X-Shopify-Webhook-Id header.
+ * @returns {void}
+ */
+function releaseWebhookEvent(webhookId) {
+  inFlightWebhookIds.delete(webhookId);
+}
+
+/**
+ * Appends a processed webhook event to the local log, dropping entries past the retention window.
+ * @param {object} event - The event to record.
+ * @param {string} [event.webhookId] - The X-Shopify-Webhook-Id header.
+ * @param {string} event.storeId - The store the webhook came from.
+ * @param {string} event.topic - The webhook topic, e.g. "orders/fulfilled".
+ * @param {string} [event.orderNumber] - The order name, e.g. "#1042".
+ * @param {string} [event.customerEmail] - The customer's email address.
+ * @param {string} [event.customerPhone] - The customer's phone number.
+ * @param {string} event.description - What happened, phrased for the agent ("a tracking update").
+ * @param {boolean} event.customerNotified - Whether a notification email was sent.
+ * @returns {Promise<void>}
+ */
+async function recordWebhookEvent(event) {
+  const stored = await eventStore.load();
+  const cutoff = Date.now() - EVENT_RETENTION_MS;
+  stored.push({ ...event, receivedAt: new Date().toISOString() });
+  await eventStore.save(stored
+    .filter(entry => new Date(entry.receivedAt).getTime() >= cutoff)
+    .slice(-MAX_STORED_EVENTS));
+}
+
+/**
+ * Finds recent events for a customer, matched by email or by the last ten digits of their phone.
+ * @param {object} customer
+ * @param {string} customer.storeId - The store the customer belongs to.
+ * @param {string} [customer.email] - The customer's email address.
+ * @param {string} [customer.phone] - The customer's phone number.
+ * @param {number} [withinDays=7] - How far back to look.
+ * @returns {Promise<object[]>} Matching events, newest first.
+ */
+async function getRecentEventsForCustomer({ storeId, email, phone }, withinDays = 7) {
+  const stored = await eventStore.load();
+  const cutoff = Date.now() - withinDays * 24 * 60 * 60 * 1000;
+  const normalizedEmail = (email || '').trim().toLowerCase();
+  const digits = phoneDigits(phone);
+  return stored
+    .filter(event => event.storeId === storeId && new Date(event.receivedAt).getTime() >= cutoff)
+    .filter(event =>
+      (normalizedEmail && event.customerEmail?.toLowerCase() === normalizedEmail) ||
+      (digits.length === 10 && phoneDigits(event.customerPhone) === digits))
+    .reverse();
+}
+
+/**
+ * Extracts what the middleware needs from a Shopify webhook payload (REST resource format).
+ * @param {string} topic - The X-Shopify-Topic header.
+ * @param {object} payload - The parsed webhook body.
+ * @returns {object|null} The event details, or null for topics this middleware doesn't handle.
+ */
+function describeWebhookEvent(topic, payload) {
+  switch (topic) {
+    case 'orders/fulfilled': {
+      const fulfillment = payload.fulfillments?.[payload.fulfillments.length - 1];
+      return {
+        notificationType: 'ORDER_FULFILLED',
+        description: 'a shipping confirmation',
+        orderNumber: payload.name,
+        customerEmail: payload.email || payload.customer?.email || null,
+        customerPhone: payload.phone || payload.customer?.phone || payload.shipping_address?.phone || null,
+        customerName: payload.customer?.first_name || payload.shipping_address?.first_name || null,
+        carrier: fulfillment?.tracking_company || null,
+        trackingNumber: fulfillment?.tracking_number || null,
+        trackingUrl: fulfillment?.tracking_url || null,
+      };
+    }
+    case 'orders/cancelled':
+      return {
+        notificationType: 'ORDER_CANCELLED',
+        description: 'a cancellation confirmation',
+        orderNumber: payload.name,
+        customerEmail: payload.email || payload.customer?.email || null,
+        customerPhone: payload.phone || payload.customer?.phone || payload.shipping_address?.phone || null,
+        customerName: payload.customer?.first_name || payload.shipping_address?.first_name || null,
+      };
+    case 'fulfillments/update': {
+      const status = payload.shipment_status || null;
+      return {
+        notificationType: NOTIFIABLE_SHIPMENT_STATUSES.has(status) ? 'SHIPMENT_UPDATE' : null,
+        description: 'a tracking update',
+        // Fulfillment names are the order name plus a suffix, e.g. "#1042.1".
+        orderNumber: payload.name ? payload.name.replace(/\.\d+$/, '') : null,
+        customerEmail: payload.email || null,
+        customerPhone: payload.destination?.phone || null,
+        customerName: payload.destination?.first_name || null,
+        statusText: status ? status.replace(/_/g, ' ') : null,
+        carrier: payload.tracking_company || null,
+        trackingNumber: payload.tracking_number || null,
+        trackingUrl: payload.tracking_url || null,
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  describeWebhookEvent,
+  verifyShopifyWebhook,
+  hasWebhookEvent,
+  claimWebhookEvent,
+  releaseWebhookEvent,
+  recordWebhookEvent,
+  getRecentEventsForCustomer,
+};